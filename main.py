@@ -1,5 +1,6 @@
 from flask import Flask, render_template, jsonify, request
 import mimetypes
+import os
 
 mimetypes.add_type('application/wasm', '.wasm')
 
@@ -16,6 +17,29 @@ def index():
 def basic_game():
     return render_template("basic_game.html")
 
+
+@app.route('/api/models')
+def list_models():
+    # One entry per static/models/<name>/ folder that has an .obj and an .mtl (used by the level editor)
+    models_dir = os.path.join(app.static_folder, 'models')
+    models = []
+    if not os.path.isdir(models_dir):
+        return jsonify(models)
+    for name in sorted(os.listdir(models_dir)):
+        folder = os.path.join(models_dir, name)
+        if not os.path.isdir(folder):
+            continue
+        files = sorted(os.listdir(folder))
+        obj = next((f for f in files if f.lower().endswith('.obj')), None)
+        mtl = next((f for f in files if f.lower().endswith('.mtl')), None)
+        if obj and mtl:
+            models.append({
+                'name': name,
+                'objPath': f'/static/models/{name}/{obj}',
+                'mtlPath': f'/static/models/{name}/{mtl}',
+            })
+    return jsonify(models)
+
 if __name__ == '__main__':
     app.run(debug=True,  host='0.0.0.0', port = 8080)
 
@@ -0,0 +1,44 @@
+// /scripts/headless.mjs
+// Runs game_core.js in Node, without a browser (see "Headless mode" in GameCoreDoc.md). Importing this
+// registers the resolve hook for the core's /static/... imports, loads Ammo as a global and shims the
+// ProgressEvent Three's loaders dispatch. Import the core through loadHeadlessCore(), not statically,
+// so it comes in after all that.
+import fs from "node:fs";
+import { register, createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+register("./headless_loader.mjs", import.meta.url);
+globalThis.Ammo = createRequire(import.meta.url)("../static/js/ammo/ammo.wasm.js");
+globalThis.ProgressEvent ??= class extends Event {
+  constructor(type, init = {}) {
+    super(type);
+    Object.assign(this, init);
+  }
+};
+
+export async function loadHeadlessCore() {
+  const THREE = await import("/static/js/three/three.module.js");
+  const core = await import("/static/js/game_core.js");
+  return { THREE, core };
+}
+
+// The CONFIG from templates/basic_game.html, so scripts run the game as the page configures it, with
+// HEADLESS on and the level read from disk (Node can't fetch site-relative URLs). overrides win.
+export function gameConfig(THREE, overrides = {}) {
+  const html = fs.readFileSync(ROOT + "templates/basic_game.html", "utf8");
+  const match = html.match(/const CONFIG = (\{[\s\S]*?\n\s*\});/);
+  if (!match) throw new Error("gameConfig: no `const CONFIG = { ... };` in templates/basic_game.html");
+  const CONFIG = new Function("THREE", `return (${match[1]});`)(THREE);
+  CONFIG.PLAYER_MODEL_OFFSET = new THREE.Vector3(0, -CONFIG.PLAYER_HEIGHT / 2, 0); // as the page does
+
+  Object.assign(CONFIG, { HEADLESS: true }, overrides);
+  if (typeof CONFIG.LEVEL === "string") CONFIG.LEVEL = readLevel(CONFIG.LEVEL);
+  return CONFIG;
+}
+
+// A level by its site URL ("/static/levels/default.json")
+export function readLevel(url) {
+  return JSON.parse(fs.readFileSync(ROOT + url.replace(/^\//, ""), "utf8"));
+}
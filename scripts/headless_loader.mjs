@@ -0,0 +1,12 @@
+// /scripts/headless_loader.mjs
+// Node resolve hook (registered by headless.mjs): maps the site-absolute imports the core uses
+// ("/static/js/...", and "three" from the page's importmap) to files in this repo.
+import { pathToFileURL, fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+export async function resolve(spec, ctx, next) {
+  if (spec === "three") spec = "/static/js/three/three.module.js";
+  if (spec.startsWith("/static/")) return { url: pathToFileURL(ROOT + spec.slice(1)).href, shortCircuit: true };
+  return next(spec, ctx);
+}
@@ -0,0 +1,80 @@
+// /scripts/replay_check.mjs
+// Replays recorded input headless and checks that the player ends up where it did when it was recorded
+// (see "Input recording and replay" in GameCoreDoc.md). Exits non-zero if any recording drifts.
+//
+//   node scripts/replay_check.mjs                    every scripts/recordings/*.json
+//   node scripts/replay_check.mjs some.json          just that one
+//   node scripts/replay_check.mjs --record out.json  play the built-in walk live and save it as a new check
+//
+// A check file is { level, expectedPlayerPosition, recording }: the level it was recorded on, where the
+// player stood when the recording stopped, and the recording from stopRecording().
+import fs from "node:fs";
+import path from "node:path";
+import { loadHeadlessCore, gameConfig, readLevel, ROOT } from "./headless.mjs";
+
+const TOLERANCE = 1e-4; // replays are exact on one machine; this only absorbs float differences between JS engines
+const RECORDINGS = path.join(ROOT, "scripts/recordings");
+const DEFAULT_LEVEL = "/static/levels/default.json";
+
+// The built-in walk for --record: forward, a turn, a jump, forward again. It stays clear of the trimesh
+// buildings, which headless runs skip (see headless_sim.mjs).
+const WALK = [
+  [30, []],
+  [60, ["KeyW"]],
+  [40, ["KeyW", "KeyA"]],
+  [1, ["KeyW", "Space"]],
+  [150, ["KeyW"]],
+  [120, []],
+];
+
+const { THREE, core } = await loadHeadlessCore();
+
+async function startLevel(level) {
+  const CONFIG = gameConfig(THREE, { LEVEL: readLevel(level) });
+  const state = core.createGameState();
+  await core.startCore(state, CONFIG);
+  return { state, CONFIG };
+}
+
+async function record(file) {
+  const { state, CONFIG } = await startLevel(DEFAULT_LEVEL);
+  core.startRecording(state, CONFIG);
+  for (const [ticks, keys] of WALK) {
+    for (const code of keys) core.setKey(state, code, true);
+    for (let i = 0; i < ticks; i++) core.stepCore(state, CONFIG, CONFIG.PHYSICS_STEP_SIZE);
+    for (const code of keys) core.setKey(state, code, false);
+  }
+  const recording = core.stopRecording(state);
+  const check = { level: DEFAULT_LEVEL, expectedPlayerPosition: core.saveSnapshot(state).player.position, recording };
+  core.disposeCore(state);
+  fs.writeFileSync(file, JSON.stringify(check) + "\n");
+  console.log(`recorded ${recording.frames.length} ticks to ${file}`);
+}
+
+async function replay(file) {
+  const check = JSON.parse(fs.readFileSync(file, "utf8"));
+  const { state, CONFIG } = await startLevel(check.level);
+  let result = null;
+  core.startReplay(state, CONFIG, check.recording, (s) => { result = core.saveSnapshot(s).player.position; });
+  while (state.replay) core.stepCore(state, CONFIG, CONFIG.PHYSICS_STEP_SIZE);
+  core.disposeCore(state);
+
+  const drift = Math.max(...result.map((v, i) => Math.abs(v - check.expectedPlayerPosition[i])));
+  const ok = drift <= TOLERANCE;
+  const where = result.map((v) => v.toFixed(4)).join(", ");
+  console.log(`${ok ? "ok  " : "FAIL"} ${path.relative(ROOT, file)}: player at [${where}], drift ${drift.toExponential(2)}`);
+  return ok;
+}
+
+const args = process.argv.slice(2);
+if (args[0] === "--record") {
+  await record(args[1] ?? path.join(RECORDINGS, "default_walk.json"));
+} else {
+  const files = args.length ? args : fs.readdirSync(RECORDINGS).filter((f) => f.endsWith(".json")).map((f) => path.join(RECORDINGS, f));
+  let failed = 0;
+  for (const file of files) if (!(await replay(file))) failed++;
+  if (failed) {
+    console.error(`${failed} of ${files.length} replays drifted`);
+    process.exit(1);
+  }
+}
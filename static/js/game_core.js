@@ -1,8 +1,12 @@
 // /static/js/game_core.js
 import * as THREE from "/static/js/three/three.module.js";
+import { ConvexGeometry } from "/static/js/three/ConvexGeometry.js";
 import { FBXLoader } from "/static/js/three/loaders/FBXLoader.js";
 import { MTLLoader } from "/static/js/three/MTLLoader.js";
 import { OBJLoader } from "/static/js/three/OBJLoader.js";
+import { OrbitControls } from "/static/js/three/OrbitControls.js";
+import * as SkeletonUtils from "/static/js/three/SkeletonUtils.js";
+import { TransformControls } from "/static/js/three/TransformControls.js";
 
 // ------------------------------------------------------------
 // Used by basic_game.html for core game mechanics
@@ -16,18 +20,56 @@ export function createGameState() {
 
     // ammo
     physicsWorld: null,
-    tmpTransform: null,
+    tmpTransform: null, // scratch Ammo objects, see createAmmoScratch
+    tmpVecA: null,
+    tmpVecB: null,
+    tmpQuat: null,
+    tmpRayCallback: null,
     dispatcher: null,
+    collisionConfig: null,
+    broadphase: null,
+    solver: null,
+    physicsWorker: null, // the worker running the simulation, with CONFIG.PHYSICS_WORKER (see startPhysicsWorker)
 
     // input
     keys: {},
     spaceWasDown: false,
+    recording: null, // see startRecording
+    replay: null,    // see startReplay
+
+    // dom (everything here is undone by disposeCore)
+    listeners: [],
+    debugUi: null,
 
     // debug
     debugUiCheckbox: null,
     debugAxes: [],
+    physicsDebug: null, // Bullet debug-draw lines (see setPhysicsDebugDraw)
     gameObjects: [],
-    staticTrimeshDebug: [],
+    bodyObjects: new Map(), // body pointer -> handle, for every object in gameObjects
+    platforms: new Map(), // body pointer -> handle, for objects moved by setPlatformMotion
+    triggers: new Map(), // body pointer -> handle, for trigger volumes (see spawnTrigger)
+    terrains: new Set(), // heightfield terrain handles (see spawnTerrain)
+    triggerTick: 0,
+    collisionListeners: new Set(), // handles with collision callbacks (see setCollisionCallbacks)
+    playerCollisionCallbacks: null,
+    contactPairs: new Map(), // lower body pointer -> Map(higher body pointer -> pair), while events are on
+    contactTick: 0,
+    preStepVelocities: new Map(), // body pointer -> Float64Array [vx, vy, vz, wx, wy, wz] before the last step
+    bodyLayers: new Map(), // body pointer -> collision layer name (see addBodyToWorld)
+    collisionMasks: null, // layer name -> bits of the layers it collides with, from CONFIG.COLLISION_MATRIX
+    constraints: [], // joints between objects (see addConstraint)
+    constraintAnchor: null, // static body standing in for "the world" in constraints
+    level: null, // the loaded level JSON (see loadLevel)
+    chunks: new Map(), // "x,z" -> streamed level chunk, when the level has chunks (see updateChunks)
+    chunkQueue: [], // chunk spawns waiting for frame budget
+    chunkList: null, // level.chunks.list as a Set of "x,z" keys
+
+    // level editor (created the first time editor mode is switched on)
+    editor: null,
+    editorUi: null,
+    editorUiCheckbox: null,
+    tuningUi: null,
 
     // player
     Player: null,
@@ -41,6 +83,9 @@ export function createGameState() {
 
     // player contact state
     playerGrounded: false,
+    playerPlatform: null, // handle of the moving platform the player stands on (see updatePlayerContacts)
+    playerGroundMaterial: null, // physics material name under the player's feet (null in the air / no material)
+    playerFootstep: null, // that material's footstep tag
     playerOnWall: false,
     playerWallNormal: new THREE.Vector3(0, 0, 0),
 
@@ -61,39 +106,98 @@ export function createGameState() {
     cameraDistance: 30,
     playerHeightAboveGround: 0,
 
+    // fixed timestep (see stepCore)
+    physicsAccumulator: 0,
+    playerPrevPosition: null,
+    playerPrevQuaternion: null,
+    playerRenderPosition: new THREE.Vector3(),
+
     // anim helpers
     lastMoveAxis: 0,
     moveAnimDir: 1,
 
-    // shared loaders
-    sharedMtlLoader: new MTLLoader(),
-    sharedObjLoader: new OBJLoader(),
+    // asset cache + loading overlay (see loadCachedAsset)
+    assets: createAssetCache(),
+    instanceBatches: new Map(), // objPath|mtlPath -> batch (see getInstanceBatch)
+    loadingOverlay: null,
 
     // shared
     clock: new THREE.Clock(),
-    textureLoader: new THREE.TextureLoader(),
+
+    // lifecycle hooks (see addHook)
+    hooks: createHookTable(),
   };
 }
 
 export async function startCore(state, CONFIG) {
   // Executres once at the start of the game
-  await Ammo();
-  state.tmpTransform = new Ammo.btTransform();
-
-  initThree(state, CONFIG);
-  createDebugUI(state, CONFIG);
+  // The first Ammo() call replaces the global factory with the ready module, so skip it on restarts
+  if (typeof Ammo === "function") await Ammo();
+  createAmmoScratch(state);
+
+  if (CONFIG.HEADLESS) {
+    // No renderer, canvas, DOM listeners or debug UI. A bare scene still collects the
+    // debug meshes spawners create, so the rest of the core doesn't need to special-case it.
+    state.scene = new THREE.Scene();
+  } else {
+    initThree(state, CONFIG);
+    createDebugUI(state, CONFIG);
+    createLoadingOverlay(state);
+  }
+  const scene = state.scene;
+  state.assets.onProgress = (progress) => {
+    // a load from before disposeCore() finishing after a restart; the overlay and hooks are the new run's
+    if (loadIsStale(state, scene)) return;
+    updateLoadingOverlay(state, progress);
+    runHooks(state, CONFIG, "loadProgress", progress);
+  };
   initPhysics(state, CONFIG);
 
-  createSkySphere(state);
-  createPlane(state, CONFIG);
-  createLighting(state);
+  await runHooksAsync(state, CONFIG, "beforeStart");
+  if (loadIsStale(state, scene)) return; // disposeCore() ran while we were waiting
 
-  createStaticGroundCollider(state, CONFIG);
-  spawnEnvironment(state, CONFIG);
+  const level = await loadLevel(CONFIG.LEVEL);
+  if (loadIsStale(state, scene)) return;
+  state.level = level;
+  warnChunkDistances(state, CONFIG);
+  // the worker builds its copy of the world while this one loads
+  const physicsWorkerReady = CONFIG.PHYSICS_WORKER ? startPhysicsWorker(state, CONFIG, level) : null;
 
-  await createPlayer(state, CONFIG, CONFIG.PLAYER_STARTING_POSITION);
+  if (!CONFIG.HEADLESS) {
+    // start the player downloads now so they overlap with the level's; createPlayer() gets them from the cache
+    for (const path of [CONFIG.PLAYER_FBX_IDLE, CONFIG.PLAYER_FBX_MOVE, CONFIG.PLAYER_FBX_IN_AIR, CONFIG.PLAYER_FBX_CLIMB]) {
+      loadFBXTemplate(state, path).catch(() => {});
+    }
+    createSkySphere(state, level);
+    if (!level.ground?.terrain && !level.chunks) createPlane(state, CONFIG, level);
+    createLighting(state, level);
+  }
 
-  bindKeys(state);
+  if (level.ground?.terrain) {
+    await spawnTerrain(state, CONFIG, new THREE.Vector3(0, 0, 0), levelTerrain(CONFIG, level), "ground", { material: level.ground.material });
+    if (loadIsStale(state, scene)) return;
+  } else if (!level.chunks) {
+    createStaticGroundCollider(state, CONFIG, level);
+  }
+  await spawnEnvironment(state, CONFIG, level);
+  if (loadIsStale(state, scene)) return;
+
+  const playerPos = (level.player?.position ? toVector3(level.player.position) : CONFIG.PLAYER_STARTING_POSITION).clone();
+  // a streamed world starts with the chunks around the player in place; the rest stream in from stepCore()
+  await loadChunksAround(state, CONFIG, playerPos);
+  if (loadIsStale(state, scene)) return;
+  // don't start inside a hill
+  if (state.terrains.size) playerPos.y = Math.max(playerPos.y, getGroundHeight(state, CONFIG, playerPos.x, playerPos.z));
+  await createPlayer(state, CONFIG, playerPos, level.player?.yawDeg ?? CONFIG.PLAYER_STARTING_YAW_DEG);
+  if (loadIsStale(state, scene)) return;
+
+  // sky/ground textures and anything a beforeStart hook queued
+  await Promise.all([waitForAssets(state), physicsWorkerReady]);
+  if (loadIsStale(state, scene)) return;
+  if (state.physicsWorker) state.physicsWorker.started = true;
+  removeLoadingOverlay(state);
+
+  if (!CONFIG.HEADLESS) bindKeys(state);
   setDebugMode(state, CONFIG, CONFIG.DEBUG_MODE);
 
   // camera defaults
@@ -103,28 +207,990 @@ export async function startCore(state, CONFIG) {
     CONFIG.CAMERA_MIN_DISTANCE,
     CONFIG.CAMERA_MAX_DISTANCE
   );
+
+  await runHooksAsync(state, CONFIG, "onStart");
 }
 
 export function stepCore(state, CONFIG, dt) {
-  if (!state.physicsWorld || !state.renderer) return;
+  if (!state.physicsWorld) return;
+  if (!CONFIG.HEADLESS && !state.renderer) return;
 
-  // physics
-  state.physicsWorld.stepSimulation(dt, 1);
+  // editor mode: simulation paused, orbit camera
+  if (state.editor?.active) {
+    stepEditor(state, CONFIG);
+    renderFrame(state, CONFIG, dt);
+    return;
+  }
 
-  // contacts + input
-  updatePlayerContacts(state, CONFIG);
-  handleInput(state, CONFIG, dt);
+  // physics + contacts + input (once per frame, or once per fixed tick; or in the physics worker)
+  let alpha = 1;
+  if (state.physicsWorker) {
+    stepPhysicsWorker(state, CONFIG, dt);
+  } else if (CONFIG.PHYSICS_FIXED_TIMESTEP) {
+    const step = CONFIG.PHYSICS_STEP_SIZE;
+    state.physicsAccumulator += dt;
+
+    let steps = 0;
+    while (state.physicsAccumulator >= step && steps < CONFIG.PHYSICS_MAX_SUBSTEPS) {
+      capturePreviousTransforms(state);
+      stepPhysicsTick(state, CONFIG, step, true);
+      state.physicsAccumulator -= step;
+      steps++;
+    }
+
+    // Too far behind (tab was hidden, long hitch): drop the time we could not simulate
+    if (state.physicsAccumulator >= step) state.physicsAccumulator %= step;
+    alpha = state.physicsAccumulator / step;
+  } else {
+    stepPhysicsTick(state, CONFIG, dt, false);
+  }
 
   // sync visuals
-  syncVisualsFromPhysics(state, CONFIG);
+  syncVisualsFromPhysics(state, CONFIG, alpha);
+
+  // stream level chunks in/out around the player
+  if (state.level?.chunks) updateChunks(state, CONFIG);
 
   // animations
   updatePlayerAnimationState(state, CONFIG, dt);
   if (state.playerMixer) state.playerMixer.update(dt);
 
+  if (CONFIG.HEADLESS) return;
+
   // camera + render
   updateCamera(state, CONFIG);
+  renderFrame(state, CONFIG, dt);
+}
+
+function renderFrame(state, CONFIG, dt) {
+  if (state.physicsDebug?.mode) updatePhysicsDebugDraw(state);
+  runHooks(state, CONFIG, "beforeRender", dt);
   state.renderer.render(state.scene, state.camera);
+  runHooks(state, CONFIG, "afterRender", dt);
+}
+
+function stepPhysicsTick(state, CONFIG, dt, fixed) {
+  runHooks(state, CONFIG, "beforePhysics", dt);
+  updatePlatforms(state, dt);
+  const collisionEvents = collisionEventsWanted(state);
+  if (collisionEvents) capturePreStepVelocities(state);
+  if (fixed) state.physicsWorld.stepSimulation(dt, 1, dt);
+  else state.physicsWorld.stepSimulation(dt, 1);
+  if (state.constraints.length) checkBrokenConstraints(state);
+
+  updatePlayerContacts(state, CONFIG);
+  if (state.triggers.size) updateTriggers(state, CONFIG);
+  if (collisionEvents) updateCollisionEvents(state, CONFIG);
+  else if (state.contactPairs.size) state.contactPairs.clear();
+  runHooks(state, CONFIG, "afterPhysics", dt);
+
+  const liveKeys = state.keys;
+  state.keys = tickInputKeys(state);
+  handleInput(state, CONFIG, dt);
+  state.keys = liveKeys;
+  runHooks(state, CONFIG, "afterInput", dt);
+  endReplayIfDone(state);
+}
+
+// ------------------------------------------------------------
+// Lifecycle hooks
+// ------------------------------------------------------------
+// Phases, in the order they run:
+//   startCore: beforeStart (world + physics ready, nothing spawned yet), onStart (everything spawned)
+//   stepCore:  beforePhysics, afterPhysics (after contacts are updated), afterInput, beforeRender, afterRender
+// loadProgress runs whenever an asset load starts or finishes (startCore and later); its third
+// argument is { loaded, failed, total, url } instead of dt.
+// triggerEnter/triggerStay/triggerExit run for every trigger volume event, between the physics step and
+// afterPhysics, with (state, CONFIG, trigger, object) (see spawnTrigger).
+// collisionBegin/collisionEnd run for every pair of objects that starts or stops touching, right after the
+// trigger events, with (state, CONFIG, event) (see setCollisionCallbacks).
+// chunkLoad/chunkUnload run when a streamed level chunk has finished spawning / is about to be removed,
+// with (state, CONFIG, chunk) (see updateChunks).
+// physicsMessage runs, with CONFIG.PHYSICS_WORKER, for each message the worker script posted to the page,
+// with (state, CONFIG, { name, data }); the physics phases above then run in the worker, not the page.
+// physicsError runs once if that worker dies after startCore(), with (state, CONFIG, { message }); the page
+// simulates from then on.
+// In CONFIG.HEADLESS mode nothing is rendered, so beforeRender/afterRender never run.
+// With CONFIG.PHYSICS_FIXED_TIMESTEP the three physics phases run once per fixed tick (dt = step size).
+const HOOK_PHASES = [
+  "beforeStart", "onStart", "beforePhysics", "afterPhysics", "afterInput", "beforeRender", "afterRender", "loadProgress",
+  "triggerEnter", "triggerStay", "triggerExit", "collisionBegin", "collisionEnd", "chunkLoad", "chunkUnload",
+  "physicsMessage", "physicsError",
+];
+
+function createHookTable() {
+  const table = {};
+  for (const phase of HOOK_PHASES) table[phase] = [];
+  return table;
+}
+
+// Registers fn(state, CONFIG, dt) for a phase. Lower priority runs first; equal priorities
+// run in registration order. Returns a function that removes the hook again.
+export function addHook(state, phase, fn, priority = 0) {
+  const list = state.hooks[phase];
+  if (!list) throw new Error(`Unknown hook phase "${phase}" (expected one of: ${HOOK_PHASES.join(", ")})`);
+  if (typeof fn !== "function") throw new Error(`Hook for "${phase}" must be a function`);
+
+  if (state.physicsWorker && PHYSICS_WORKER_PHASES.includes(phase)) warnWorkerOnly(`"${phase}" hook`);
+  const hook = { fn, priority, removed: false };
+
+  // copy-on-write so a hook can add/remove hooks while its phase is running
+  const next = list.slice();
+  let i = next.length;
+  while (i > 0 && next[i - 1].priority > priority) i--;
+  next.splice(i, 0, hook);
+  state.hooks[phase] = next;
+
+  return () => removeHookEntry(state, phase, hook);
+}
+
+export function removeHook(state, phase, fn) {
+  const list = state.hooks[phase];
+  if (!list) return false;
+  const hook = list.find((h) => h.fn === fn);
+  if (!hook) return false;
+  return removeHookEntry(state, phase, hook);
+}
+
+function removeHookEntry(state, phase, hook) {
+  if (hook.removed) return false;
+  hook.removed = true;
+  state.hooks[phase] = state.hooks[phase].filter((h) => h !== hook);
+  return true;
+}
+
+function runHooks(state, CONFIG, phase, dt, arg) {
+  const list = state.hooks[phase];
+  for (let i = 0; i < list.length; i++) {
+    if (!list[i].removed) list[i].fn(state, CONFIG, dt, arg);
+  }
+}
+
+async function runHooksAsync(state, CONFIG, phase) {
+  const list = state.hooks[phase];
+  for (let i = 0; i < list.length; i++) {
+    if (!list[i].removed) await list[i].fn(state, CONFIG, 0);
+  }
+}
+
+// ------------------------------------------------------------
+// Teardown (disposeCore / restartCore)
+// ------------------------------------------------------------
+// addEventListener that disposeCore() can undo. Every DOM listener the core adds goes through here.
+function listen(state, target, type, fn, options) {
+  target.addEventListener(type, fn, options);
+  state.listeners.push({ target, type, fn, options });
+}
+
+// Async loads (textures, OBJ/FBX) can finish after disposeCore()/restartCore(). `scene` is the
+// scene the load was started for; if it is gone, free the result instead of adding it anywhere.
+function loadIsStale(state, scene, object = null) {
+  if (state.scene === scene) return false;
+  if (object) disposeObject3D(object);
+  return true;
+}
+
+// Resources owned by the asset cache are flagged userData.sharedAsset; other instances still use them,
+// so they are only freed by disposeAssets().
+function disposeMaterial(material) {
+  if (material.userData.sharedAsset) return;
+  // custom shader uniforms (e.g. the terrain's splat textures) are kept in userData.uniforms
+  const uniformValues = Object.values(material.userData.uniforms ?? {}).map((uniform) => uniform.value);
+  for (const value of [...Object.values(material), ...uniformValues]) {
+    if (value && value.isTexture && !value.userData.sharedAsset) value.dispose();
+  }
+  material.dispose();
+}
+
+// Frees GPU resources (geometries, materials, textures, skeletons) under root and detaches it.
+function disposeObject3D(root) {
+  root.traverse((child) => {
+    if (child.geometry && !child.userData.sharedGeometry && !child.geometry.userData.sharedAsset) child.geometry.dispose();
+    if (child.material) {
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      for (const m of materials) disposeMaterial(m);
+    }
+    if (child.skeleton) child.skeleton.dispose();
+    if (child.isInstancedMesh) child.dispose();
+  });
+  root.removeFromParent();
+}
+
+// Removes a body from the world and frees it with its motion state and collision shape.
+function destroyRigidBody(state, body) {
+  if (state.physicsWorld) state.physicsWorld.removeRigidBody(body);
+  state.bodyLayers.delete(Ammo.getPointer(body));
+  state.preStepVelocities.delete(Ammo.getPointer(body));
+  const ms = body.getMotionState();
+  const shape = body.getCollisionShape();
+  Ammo.destroy(body);
+  if (ms) Ammo.destroy(ms);
+  if (shape) Ammo.destroy(shape);
+}
+
+// Releases everything startCore() created: DOM listeners and UI, WebGL renderer and every
+// geometry/material/texture in the scene, and all Ammo bodies, shapes, motion states and the world.
+// Core fields are reset to a fresh createGameState() (registered hooks are kept), so the same
+// state object can be passed to startCore() again.
+export function disposeCore(state) {
+  for (const { target, type, fn, options } of state.listeners) target.removeEventListener(type, fn, options);
+  state.listeners = [];
+  if (state.physicsWorker) state.physicsWorker.worker.terminate();
+
+  if (typeof document !== "undefined") {
+    if (state.renderer && document.pointerLockElement === state.renderer.domElement) document.exitPointerLock?.();
+    document.body.style.cursor = "default";
+  }
+  if (state.debugUi) state.debugUi.remove();
+  removeLoadingOverlay(state);
+  disposeEditor(state);
+
+  // animation
+  if (state.playerMixer) {
+    state.playerMixer.stopAllAction();
+    if (state.playerVisual) state.playerMixer.uncacheRoot(state.playerVisual);
+  }
+
+  // physics
+  for (const obj of state.gameObjects) destroyObjectPhysics(state, obj);
+  if (state.Player) destroyRigidBody(state, state.Player);
+  if (state.constraintAnchor) destroyRigidBody(state, state.constraintAnchor);
+
+  if (state.physicsWorld) {
+    Ammo.destroy(state.physicsWorld);
+    Ammo.destroy(state.solver);
+    Ammo.destroy(state.broadphase);
+    Ammo.destroy(state.dispatcher);
+    Ammo.destroy(state.collisionConfig);
+  }
+  if (state.physicsDebug) Ammo.destroy(state.physicsDebug.drawer);
+  destroyAmmoScratch(state);
+
+  // three
+  if (state.scene) {
+    for (const child of [...state.scene.children]) disposeObject3D(child);
+  }
+  if (state.renderer) {
+    state.renderer.dispose();
+    state.renderer.forceContextLoss();
+    state.renderer.domElement.remove();
+  }
+
+  disposeAssets(state);
+
+  // reset every core field; custom fields added by the game (score, timers, ...) are left alone
+  Object.assign(state, createGameState(), { hooks: state.hooks });
+}
+
+// Tears the current game down and builds it again from CONFIG (e.g. reload a level, back to menu).
+export async function restartCore(state, CONFIG) {
+  disposeCore(state);
+  await startCore(state, CONFIG);
+}
+
+// ------------------------------------------------------------
+// Physics worker (CONFIG.PHYSICS_WORKER)
+// ------------------------------------------------------------
+// With CONFIG.PHYSICS_WORKER on, a dedicated Worker (static/js/physics_worker.js) runs a second, headless
+// copy of the game built from the same CONFIG and level: it owns the simulation, i.e. stepSimulation(),
+// contacts, input handling, platforms, triggers and collision events, and the physics hooks run there.
+// The page still builds its own world, but never steps it: every frame stepCore() sends the frame's dt
+// and the pressed keys, and writes the worker's latest transforms into the page's bodies, so visuals,
+// animation, the camera and its rays and chunk streaming work on it unchanged.
+// Transforms travel in one Float64Array, a SharedArrayBuffer when the page is cross-origin isolated, else
+// an ArrayBuffer transferred back and forth. Only one step is in flight at a time, so neither side ever
+// reads the buffer while the other writes it; if the worker falls behind, the page keeps rendering and
+// the next step carries all the time that went by.
+// Moving objects (dynamic and kinematic) are matched between the two worlds by name, in spawn order.
+const PHYSICS_WORKER_URL = "/static/js/physics_worker.js";
+// Frame layout: [count, grounded, onWall, climbing, climbAnimGrace, lastMoveAxis, player position (3),
+// quaternion (4), velocity (3)], then position + quaternion of each moving object
+const PHYSICS_FRAME_HEADER = 16;
+const PHYSICS_FRAME_STRIDE = 7;
+// Hook phases that only run where the simulation runs, i.e. in the worker
+const PHYSICS_WORKER_PHASES = [
+  "beforePhysics", "afterPhysics", "afterInput", "triggerEnter", "triggerStay", "triggerExit", "collisionBegin", "collisionEnd",
+];
+// Frames a moving object the page spawned may go without a worker object of the same name
+const PHYSICS_WORKER_MATCH_FRAMES = 60;
+
+// Page side: start the worker and resolve once its world is built (startCore() waits for this)
+function startPhysicsWorker(state, CONFIG, level) {
+  const url = (typeof CONFIG.PHYSICS_WORKER === "string") ? CONFIG.PHYSICS_WORKER : PHYSICS_WORKER_URL;
+  const worker = new Worker(url);
+  const pw = {
+    worker,
+    ready: false, // the worker's world is built
+    busy: false, // a step is in flight
+    pendingDt: 0, // time not sent yet because the worker was busy
+    frame: null, // newest frame message, applied by the next stepCore()
+    view: null, // Float64Array over the frame buffer
+    transferred: false, // the buffer is ours until the next step hands it back (not shared)
+    names: [], // names of the worker's moving objects, in frame order
+    handles: [], // the page's matching handles (null = no match)
+    mappedCount: -1, // state.gameObjects.length when handles was built
+    started: false, // startCore() is done: moving objects the page spawns from now on are checked
+    unmatched: new Map(), // those objects -> frames they have gone without a match (see warnUnsimulatedObjects)
+    failed: false, // died after startCore(); state.physicsWorker is null by then (see failPhysicsWorker)
+  };
+  state.physicsWorker = pw;
+  for (const phase of PHYSICS_WORKER_PHASES) {
+    if (state.hooks[phase].length) warnWorkerOnly(`"${phase}" hook`);
+  }
+
+  return new Promise((resolve, reject) => {
+    listen(state, worker, "message", (e) => {
+      const msg = e.data;
+      if (msg.type === "loaded") {
+        worker.postMessage({ type: "init", config: packConfigValue({ ...CONFIG, LEVEL: level }) });
+      } else if (msg.type === "ready") {
+        pw.ready = true;
+        resolve();
+      } else if (msg.type === "error" && !pw.ready) {
+        reject(new Error(`Physics worker: ${msg.message}`));
+      } else if (msg.type === "error") {
+        // a step failed: the world stays where it was, and the next stepCore() tries again
+        console.warn(`Physics worker: ${msg.message}`);
+        if (msg.buffer) pw.view = new Float64Array(msg.buffer);
+        pw.busy = false;
+      } else if (msg.type === "frame") {
+        pw.frame = msg;
+        pw.busy = false;
+      }
+    });
+    listen(state, worker, "error", (e) => {
+      if (pw.ready) failPhysicsWorker(state, CONFIG, `Physics worker: ${e.message || "uncaught error"}`);
+      else reject(new Error(`Physics worker: ${e.message || "failed to load"}`));
+    });
+  });
+}
+
+// Page side: an uncaught error leaves the worker in an unknown state, and the step in flight may never be
+// answered, so stop it and step the page's own world from here on. It starts from the last frame the
+// worker sent (objects other than the player keep their positions but lose their speed).
+function failPhysicsWorker(state, CONFIG, message) {
+  const pw = state.physicsWorker;
+  console.error(`${message}; simulating on the page from now on`);
+  pw.worker.terminate();
+  pw.busy = false;
+  pw.failed = true;
+  state.physicsWorker = null;
+  runHooks(state, CONFIG, "physicsError", { message });
+}
+
+// Page side, from stepCore(): apply the newest frame, send the next step
+function stepPhysicsWorker(state, CONFIG, dt) {
+  const pw = state.physicsWorker;
+  pw.pendingDt += dt;
+  if (pw.frame) {
+    applyPhysicsWorkerFrame(state, CONFIG, pw.frame);
+    pw.frame = null;
+  }
+  if (pw.busy) return;
+
+  const msg = { type: "step", dt: pw.pendingDt, keys: Object.keys(state.keys).filter((code) => state.keys[code]) };
+  const transfer = [];
+  if (pw.view && pw.transferred) {
+    msg.buffer = pw.view.buffer; // hand the buffer back for the worker to refill
+    transfer.push(msg.buffer);
+    pw.view = null;
+  }
+  pw.worker.postMessage(msg, transfer);
+  pw.busy = true;
+  pw.pendingDt = 0;
+}
+
+function applyPhysicsWorkerFrame(state, CONFIG, frame) {
+  const pw = state.physicsWorker;
+  if (frame.buffer) {
+    pw.view = new Float64Array(frame.buffer);
+    pw.transferred = !(typeof SharedArrayBuffer !== "undefined" && frame.buffer instanceof SharedArrayBuffer);
+  }
+  // objects the worker removed (frame.removed indexes the previous names), then its new list
+  for (const i of frame.removed ?? []) {
+    const handle = pw.handles[i];
+    if (handle) removeObject(state, handle);
+  }
+  if (frame.names) {
+    pw.names = frame.names;
+    pw.mappedCount = -1;
+  }
+  if (pw.mappedCount !== state.gameObjects.length || pw.handles.some((h) => h?.removed)) mapPhysicsWorkerObjects(state);
+
+  const f = pw.view;
+  state.playerGrounded = f[1] === 1;
+  state.playerOnWall = f[2] === 1;
+  state.playerClimbing = f[3] === 1;
+  state.climbAnimGrace = f[4];
+  state.lastMoveAxis = f[5];
+  state.playerGroundMaterial = frame.groundMaterial;
+  state.playerFootstep = frame.footstep;
+  if (state.Player) {
+    writeBodyTransform(state, state.Player, f, 6);
+    state.tmpVecA.setValue(f[13], f[14], f[15]);
+    state.Player.setLinearVelocity(state.tmpVecA);
+  }
+  const count = Math.min(f[0], pw.handles.length);
+  for (let i = 0; i < count; i++) {
+    const handle = pw.handles[i];
+    if (handle) writeBodyTransform(state, handle.body, f, PHYSICS_FRAME_HEADER + i * PHYSICS_FRAME_STRIDE);
+  }
+
+  if (pw.unmatched.size) warnUnsimulatedObjects(state);
+  for (const message of frame.messages ?? []) runHooks(state, CONFIG, "physicsMessage", message);
+}
+
+// Page-side physics code doesn't run with the worker on: the page's world is never stepped
+function warnWorkerOnly(what) {
+  console.warn(`${what}: page-side physics code never runs with CONFIG.PHYSICS_WORKER on; set it up in CONFIG.PHYSICS_WORKER_SCRIPT instead`);
+}
+
+// A moving object the page spawned after startCore() only moves if the worker has one of the same name
+// (the worker script spawned it too, or a chunk both sides streamed); give the worker a second to catch up
+function warnUnsimulatedObjects(state) {
+  const pw = state.physicsWorker;
+  for (const [handle, frames] of pw.unmatched) {
+    if (handle.removed || pw.handles.includes(handle)) {
+      pw.unmatched.delete(handle);
+    } else if (frames < PHYSICS_WORKER_MATCH_FRAMES) {
+      pw.unmatched.set(handle, frames + 1);
+    } else {
+      pw.unmatched.delete(handle);
+      console.warn(`[${handle.name}] was spawned on the page, but the physics worker has no object of that name, so it won't move; ` +
+        "spawn it in CONFIG.PHYSICS_WORKER_SCRIPT as well");
+    }
+  }
+}
+
+// The page's handles for pw.names: the k-th object named "crate" here for the k-th "crate" there
+function mapPhysicsWorkerObjects(state) {
+  const pw = state.physicsWorker;
+  const byName = new Map();
+  for (const obj of state.gameObjects) {
+    if (obj.bakedTransform) continue;
+    if (!byName.has(obj.name)) byName.set(obj.name, []);
+    byName.get(obj.name).push(obj);
+  }
+  pw.handles = pw.names.map((name) => byName.get(name)?.shift() ?? null);
+  pw.mappedCount = state.gameObjects.length;
+}
+
+// Position + quaternion at f[at..at + 6] -> body and motion state (and its broadphase bounds, for rays)
+function writeBodyTransform(state, body, f, at) {
+  const t = state.tmpTransform;
+  t.setIdentity();
+  state.tmpVecB.setValue(f[at], f[at + 1], f[at + 2]);
+  t.setOrigin(state.tmpVecB);
+  state.tmpQuat.setValue(f[at + 3], f[at + 4], f[at + 5], f[at + 6]);
+  t.setRotation(state.tmpQuat);
+  body.setWorldTransform(t);
+  body.getMotionState()?.setWorldTransform(t);
+  state.physicsWorld.updateSingleAabb(body);
+}
+
+// Page side: send a command to the worker script's commands (see CONFIG.PHYSICS_WORKER_SCRIPT)
+export function sendPhysicsCommand(state, name, data) {
+  if (!state.physicsWorker) throw new Error("sendPhysicsCommand: no physics worker (CONFIG.PHYSICS_WORKER is off, or it failed)");
+  state.physicsWorker.worker.postMessage({ type: "command", name, data });
+}
+
+// Worker side: called by physics_worker.js once the core has loaded
+export function runPhysicsWorker(scope) {
+  const host = { state: null, CONFIG: null, commands: {}, sent: [], messages: [], view: null, ground: null };
+
+  scope.onmessage = async (e) => {
+    const msg = e.data;
+    try {
+      if (msg.type === "init") await initPhysicsWorker(scope, host, msg);
+      else if (msg.type === "step") stepPhysicsWorkerHost(scope, host, msg);
+      else if (msg.type === "tuning") applyTuningValues(host.state, host.CONFIG, msg.values);
+      else if (msg.type === "command") {
+        const command = host.commands[msg.name];
+        if (!command) throw new Error(`Unknown physics command "${msg.name}"`);
+        await command(host.state, host.CONFIG, msg.data);
+      }
+    } catch (err) {
+      const message = err.message || String(err);
+      if (msg.type === "init") {
+        scope.postMessage({ type: "error", message });
+      } else if (msg.type === "step") {
+        // the page waits for an answer to every step; hand back the buffer it lent us if it's still ours
+        const buffer = msg.buffer?.byteLength ? msg.buffer : undefined;
+        scope.postMessage({ type: "error", message: `step: ${message}`, buffer }, buffer ? [buffer] : []);
+      } else {
+        console.warn(`physics worker ${msg.type}: ${message}`);
+      }
+    }
+  };
+  scope.postMessage({ type: "loaded" });
+}
+
+async function initPhysicsWorker(scope, host, msg) {
+  const CONFIG = { ...unpackConfigValue(msg.config), HEADLESS: true, PHYSICS_WORKER: false };
+  const state = createGameState();
+  host.state = state;
+  host.CONFIG = CONFIG;
+  if (CONFIG.PHYSICS_WORKER_SCRIPT) {
+    // the game's worker-side code: hooks, commands and messages back to the page
+    const script = await import(CONFIG.PHYSICS_WORKER_SCRIPT);
+    const post = (name, data) => host.messages.push({ name, data });
+    host.commands = (await script.setup?.(state, CONFIG, post)) ?? {};
+  }
+  await startCore(state, CONFIG);
+  scope.postMessage({ type: "ready" });
+}
+
+function stepPhysicsWorkerHost(scope, host, msg) {
+  const { state, CONFIG } = host;
+  state.keys = {};
+  for (const code of msg.keys) state.keys[code] = true;
+  stepCore(state, CONFIG, msg.dt);
+
+  const moving = state.gameObjects.filter((obj) => !obj.bakedTransform && !obj.body.isStaticObject());
+  const frame = { type: "frame", groundMaterial: state.playerGroundMaterial, footstep: state.playerFootstep };
+  if (moving.length !== host.sent.length || moving.some((obj, i) => obj !== host.sent[i])) {
+    frame.names = moving.map((obj) => obj.name);
+    const removed = host.sent.flatMap((obj, i) => (obj.removed ? [i] : []));
+    if (removed.length) frame.removed = removed;
+    host.sent = moving;
+  }
+  if (host.messages.length) {
+    frame.messages = host.messages;
+    host.messages = [];
+  }
+
+  // the page handed a transferred buffer back; a shared one never left
+  if (msg.buffer) host.view = new Float64Array(msg.buffer);
+  const size = PHYSICS_FRAME_HEADER + moving.length * PHYSICS_FRAME_STRIDE;
+  const shared = typeof SharedArrayBuffer !== "undefined" && scope.crossOriginIsolated;
+  if (!host.view || host.view.length < size) {
+    const bytes = Float64Array.BYTES_PER_ELEMENT * Math.max(size * 2, 256);
+    host.view = new Float64Array(shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes));
+    if (shared) frame.buffer = host.view.buffer;
+  }
+  writePhysicsWorkerFrame(state, CONFIG, host.view, moving);
+
+  if (shared) {
+    scope.postMessage(frame);
+  } else {
+    frame.buffer = host.view.buffer;
+    host.view = null;
+    scope.postMessage(frame, [frame.buffer]);
+  }
+}
+
+// Interpolated like syncVisualsFromPhysics(), so the page can show the transforms as they are
+function writePhysicsWorkerFrame(state, CONFIG, f, moving) {
+  const alpha = CONFIG.PHYSICS_FIXED_TIMESTEP ? state.physicsAccumulator / CONFIG.PHYSICS_STEP_SIZE : 1;
+  f[0] = moving.length;
+  f[1] = state.playerGrounded ? 1 : 0;
+  f[2] = state.playerOnWall ? 1 : 0;
+  f[3] = state.playerClimbing ? 1 : 0;
+  f[4] = state.climbAnimGrace;
+  f[5] = state.lastMoveAxis;
+  if (state.Player) {
+    readInterpolatedTransform(state, state.Player, state.playerPrevPosition, state.playerPrevQuaternion, alpha, _syncPos, _syncQuat);
+    writeFrameTransform(f, 6, _syncPos, _syncQuat);
+    const v = state.Player.getLinearVelocity();
+    f[13] = v.x();
+    f[14] = v.y();
+    f[15] = v.z();
+  }
+  moving.forEach((obj, i) => {
+    readInterpolatedTransform(state, obj.body, obj.prevPosition, obj.prevQuaternion, alpha, _syncPos, _syncQuat);
+    writeFrameTransform(f, PHYSICS_FRAME_HEADER + i * PHYSICS_FRAME_STRIDE, _syncPos, _syncQuat);
+  });
+}
+
+function writeFrameTransform(f, at, pos, quat) {
+  f[at] = pos.x;
+  f[at + 1] = pos.y;
+  f[at + 2] = pos.z;
+  f[at + 3] = quat.x;
+  f[at + 4] = quat.y;
+  f[at + 5] = quat.z;
+  f[at + 6] = quat.w;
+}
+
+// CONFIG -> something postMessage can copy: Three vectors/eulers become tagged arrays, functions are dropped
+function packConfigValue(v) {
+  if (v?.isVector3) return { $vector3: v.toArray() };
+  if (v?.isEuler) return { $euler: v.toArray() };
+  if (Array.isArray(v)) return v.map(packConfigValue);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [key, value] of Object.entries(v)) {
+      if (typeof value !== "function") out[key] = packConfigValue(value);
+    }
+    return out;
+  }
+  return v;
+}
+
+function unpackConfigValue(v) {
+  if (Array.isArray(v)) return v.map(unpackConfigValue);
+  if (!isPlainObject(v)) return v;
+  if (v.$vector3) return new THREE.Vector3().fromArray(v.$vector3);
+  if (v.$euler) return new THREE.Euler().fromArray(v.$euler);
+  const out = {};
+  for (const [key, value] of Object.entries(v)) out[key] = unpackConfigValue(value);
+  return out;
+}
+
+// ------------------------------------------------------------
+// Assets (shared cache, load progress, loading overlay)
+// ------------------------------------------------------------
+// Every texture/OBJ/MTL/FBX load goes through loadCachedAsset(): each URL is fetched and parsed once,
+// and every caller gets the same template (textures, clips) or a clone that shares its geometry and
+// materials (models). The cache belongs to the game state, so disposeCore() frees it with everything else.
+function createAssetCache() {
+  return {
+    entries: new Map(), // key -> Promise of the template
+    templates: [],      // loaded templates, freed by disposeAssets()
+    loaded: 0,
+    failed: 0,
+    total: 0,
+    onProgress: null,   // set by startCore(); drives the overlay and the loadProgress hooks
+  };
+}
+
+function loadCachedAsset(state, key, url, load) {
+  const assets = state.assets;
+  const cached = assets.entries.get(key);
+  if (cached) return cached;
+
+  const entry = Promise.resolve().then(() => {
+    // Outside a page (Node) "/static/..." can't be fetched; fail up front instead of leaving Three's
+    // FileLoader with a half-registered request that later loads of the same URL would wait on forever.
+    const resolved = THREE.DefaultLoadingManager.resolveURL(url);
+    if (typeof location === "undefined" && !/^[a-z][a-z0-9+.-]*:/i.test(resolved)) {
+      throw new Error(`relative URL ${url} needs a page origin or a LoadingManager URL modifier`);
+    }
+    return load();
+  }).then((template) => {
+    markSharedAsset(template, true);
+    // disposeCore() ran while this was loading; the cache it belongs to is gone
+    if (state.assets !== assets) disposeSharedAsset(template);
+    else assets.templates.push(template);
+    assets.loaded++;
+    reportAssetProgress(assets, url);
+    return template;
+  }, (err) => {
+    // forget failed loads so a later call can retry
+    assets.entries.delete(key);
+    assets.failed++;
+    reportAssetProgress(assets, url);
+    throw err;
+  });
+
+  assets.entries.set(key, entry);
+  assets.total++;
+  reportAssetProgress(assets, url);
+  return entry;
+}
+
+function reportAssetProgress(assets, url) {
+  if (!assets.onProgress) return;
+  const { loaded, failed, total } = assets;
+  assets.onProgress({ loaded, failed, total, url });
+}
+
+// { loaded, failed, total }: unique assets requested so far (cache hits don't count)
+export function getAssetProgress(state) {
+  const { loaded, failed, total } = state.assets;
+  return { loaded, failed, total };
+}
+
+// Resolves once every load started so far (including ones started while waiting) has finished.
+async function waitForAssets(state) {
+  const assets = state.assets;
+  // pending loads are always in entries (only failed ones are removed), so this can't spin
+  while (state.assets === assets && assets.loaded + assets.failed < assets.total) {
+    await Promise.allSettled([...assets.entries.values()]);
+  }
+}
+
+function markSharedAsset(asset, shared) {
+  const mark = (resource) => { if (resource?.userData) resource.userData.sharedAsset = shared; };
+  const markMaterial = (material) => {
+    mark(material);
+    for (const value of Object.values(material)) if (value?.isTexture) mark(value);
+  };
+
+  if (asset.isTexture) {
+    mark(asset);
+  } else if (asset.isObject3D) {
+    asset.traverse((child) => {
+      mark(child.geometry);
+      if (child.material) [].concat(child.material).forEach(markMaterial);
+    });
+  } else if (asset.materials) {
+    Object.values(asset.materials).forEach(markMaterial); // MTLLoader.MaterialCreator
+  }
+}
+
+function disposeSharedAsset(asset) {
+  markSharedAsset(asset, false);
+  if (asset.isTexture) asset.dispose();
+  else if (asset.isObject3D) disposeObject3D(asset);
+  else if (asset.materials) Object.values(asset.materials).forEach(disposeMaterial);
+}
+
+function disposeAssets(state) {
+  for (const template of state.assets.templates) disposeSharedAsset(template);
+  state.assets.templates = [];
+  state.assets.entries.clear();
+}
+
+export function loadTexture(state, url) {
+  return loadCachedAsset(state, `texture:${url}`, url, () => new THREE.TextureLoader().loadAsync(url));
+}
+
+// OBJ + MTL model; returns a new instance that shares the cached geometry and materials.
+export async function loadObjMtl(state, objPath, mtlPath) {
+  const template = await loadCachedAsset(state, `obj:${objPath}|${mtlPath}`, objPath, async () => {
+    const materials = await loadCachedAsset(state, `mtl:${mtlPath}`, mtlPath, async () => {
+      const creator = await new MTLLoader().loadAsync(mtlPath);
+      creator.preload();
+      return creator;
+    });
+    const objLoader = new OBJLoader();
+    objLoader.setMaterials(materials);
+    return objLoader.loadAsync(objPath);
+  });
+  return template.clone();
+}
+
+function loadFBXTemplate(state, path) {
+  return loadCachedAsset(state, `fbx:${path}`, path, () => new FBXLoader().loadAsync(path));
+}
+
+// FBX model; returns a new instance (own skeleton, shared geometry/materials) with the file's clips.
+export async function loadFBX(state, path) {
+  const template = await loadFBXTemplate(state, path);
+  const object = SkeletonUtils.clone(template);
+  object.animations = template.animations;
+  return object;
+}
+
+async function loadFirstClipFromFBX(state, path) {
+  const template = await loadFBXTemplate(state, path);
+  if (template.animations && template.animations.length > 0) return template.animations[0];
+  console.warn(`No animations found in: ${path}`);
+  return null;
+}
+
+// Full-screen "Loading..." panel shown while startCore() waits for the level and player assets.
+function createLoadingOverlay(state) {
+  const overlay = document.createElement("div");
+  overlay.id = "loading-overlay";
+  overlay.innerHTML = `
+    <div class="loading-title">Loading...</div>
+    <div class="loading-bar"><div class="loading-fill"></div></div>
+    <div class="loading-detail"></div>
+  `;
+  document.body.appendChild(overlay);
+  state.loadingOverlay = overlay;
+}
+
+function updateLoadingOverlay(state, progress) {
+  const overlay = state.loadingOverlay;
+  if (!overlay) return;
+  const done = progress.loaded + progress.failed;
+  const fraction = progress.total > 0 ? done / progress.total : 0;
+  overlay.querySelector(".loading-fill").style.width = `${Math.round(fraction * 100)}%`;
+  overlay.querySelector(".loading-detail").textContent =
+    `${done} / ${progress.total}` + (progress.failed ? ` (${progress.failed} failed)` : "");
+}
+
+function removeLoadingOverlay(state) {
+  if (state.loadingOverlay) state.loadingOverlay.remove();
+  state.loadingOverlay = null;
+}
+
+// ------------------------------------------------------------
+// Snapshots (save games, checkpoints, quick-restore)
+// ------------------------------------------------------------
+// A snapshot is plain JSON data: the player's body + contact/climb/animation state, the camera, and the
+// transform + velocity of every dynamic body and moving platform (plus how far along its motion it is),
+// keyed by object name. Static objects are rebuilt from the level, so they aren't stored. Vectors are
+// [x, y, z] arrays, rotations are quaternions [x, y, z, w].
+const SNAPSHOT_VERSION = 1;
+
+export function saveSnapshot(state) {
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    physicsAccumulator: state.physicsAccumulator, // fixed-timestep phase, so the next ticks land where they would have
+    player: null,
+    camera: {
+      yaw: state.cameraYaw,
+      pitch: state.cameraPitch,
+      distance: state.cameraDistance,
+    },
+    objects: [],
+  };
+
+  if (state.Player) {
+    snapshot.player = {
+      ...readBodySnapshot(state, state.Player),
+      grounded: state.playerGrounded,
+      onWall: state.playerOnWall,
+      wallNormal: state.playerWallNormal.toArray(),
+      climbing: state.playerClimbing,
+      climbExitTimer: state.climbExitTimer,
+      climbAnimGrace: state.climbAnimGrace,
+      animState: state.playerCurrentState,
+      animInAir: state.animInAir,
+      animAirTimer: state.animAirTimer,
+      lastMoveAxis: state.lastMoveAxis,
+      moveAnimDir: state.moveAnimDir,
+      spaceWasDown: state.spaceWasDown, // jump edge detection; keys themselves stay live input
+      platform: state.playerPlatform?.name ?? null,
+    };
+  }
+
+  for (const obj of state.gameObjects) {
+    if (!obj.body || obj.body.isStaticObject()) continue;
+    const saved = { name: obj.name, ...readBodySnapshot(state, obj.body) };
+    if (obj.platform) saved.platformTime = obj.platform.time; // where along its motion it is
+    snapshot.objects.push(saved);
+  }
+  return snapshot;
+}
+
+// Restores a snapshot taken from the same level. Objects are matched by name (in order, for repeated
+// names); entries whose object no longer exists are skipped with a warning.
+export function loadSnapshot(state, snapshot) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot?.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  const restored = [];
+  const p = snapshot.player;
+  if (p && state.Player) {
+    writeBodySnapshot(state, state.Player, p);
+    restored.push(state.Player);
+    state.playerGrounded = p.grounded;
+    state.playerOnWall = p.onWall;
+    state.playerWallNormal.fromArray(p.wallNormal);
+    state.playerClimbing = p.climbing;
+    state.climbExitTimer = p.climbExitTimer;
+    state.climbAnimGrace = p.climbAnimGrace;
+    state.animInAir = p.animInAir;
+    state.animAirTimer = p.animAirTimer;
+    state.lastMoveAxis = p.lastMoveAxis;
+    state.spaceWasDown = p.spaceWasDown;
+    restoreAnimationState(state, p.animState, p.moveAnimDir);
+    restorePreviousTransform(state.playerPrevPosition, state.playerPrevQuaternion, p);
+  }
+
+  const cam = snapshot.camera;
+  if (cam) {
+    state.cameraYaw = cam.yaw;
+    state.cameraPitch = cam.pitch;
+    state.cameraDistance = cam.distance;
+    state.cameraYawInitialized = true;
+  }
+
+  const byName = new Map();
+  for (const obj of state.gameObjects) {
+    if (!obj.body || obj.body.isStaticObject()) continue;
+    if (!byName.has(obj.name)) byName.set(obj.name, []);
+    byName.get(obj.name).push(obj);
+  }
+  const missing = [];
+  for (const saved of snapshot.objects ?? []) {
+    const obj = byName.get(saved.name)?.shift();
+    if (!obj) {
+      missing.push(saved.name);
+      continue;
+    }
+    writeBodySnapshot(state, obj.body, saved);
+    if (obj.platform && saved.platformTime !== undefined) obj.platform.time = saved.platformTime;
+    restored.push(obj.body);
+    restorePreviousTransform(obj.prevPosition, obj.prevQuaternion, saved);
+  }
+  if (missing.length) console.warn(`loadSnapshot: no dynamic object named ${missing.join(", ")}; skipped`);
+  flushBodyContacts(state, restored);
+
+  state.playerPlatform = null;
+  if (p?.platform) {
+    for (const handle of state.platforms.values()) {
+      if (handle.name === p.platform) { state.playerPlatform = handle; break; }
+    }
+  }
+
+  state.physicsAccumulator = snapshot.physicsAccumulator ?? 0;
+}
+
+// Reads the body's own transform: the motion state (what rendering uses) trails it by one Bullet step
+function readBodySnapshot(state, body) {
+  const t = body.getWorldTransform();
+  const o = t.getOrigin();
+  const r = t.getRotation();
+  const lv = body.getLinearVelocity();
+  const av = body.getAngularVelocity();
+  return {
+    position: [o.x(), o.y(), o.z()],
+    quaternion: [r.x(), r.y(), r.z(), r.w()],
+    linearVelocity: [lv.x(), lv.y(), lv.z()],
+    angularVelocity: [av.x(), av.y(), av.z()],
+  };
+}
+
+function writeBodySnapshot(state, body, saved) {
+  const lv = new Ammo.btVector3(...saved.linearVelocity);
+  const av = new Ammo.btVector3(...saved.angularVelocity);
+  body.setLinearVelocity(lv);
+  body.setAngularVelocity(av);
+
+  // setCenterOfMassTransform (unlike setWorldTransform) also resets Bullet's interpolation transform and
+  // velocities, which the next step integrates from; it has to come after the velocities. For kinematic
+  // bodies it copies the interpolation transform from the current world transform instead, hence both
+  const t = state.tmpTransform;
+  const origin = new Ammo.btVector3(...saved.position);
+  const rotation = new Ammo.btQuaternion(...saved.quaternion);
+  t.setIdentity();
+  t.setOrigin(origin);
+  t.setRotation(rotation);
+  body.setWorldTransform(t);
+  body.setCenterOfMassTransform(t);
+  body.getMotionState()?.setWorldTransform(t);
+  body.clearForces();
+  body.activate();
+
+  Ammo.destroy(origin);
+  Ammo.destroy(rotation);
+  Ammo.destroy(lv);
+  Ammo.destroy(av);
+}
+
+// Re-adding a body drops its cached contact points, which would otherwise warm-start the solver with
+// impulses from wherever the body was before the load
+function flushBodyContacts(state, bodies) {
+  for (const body of bodies) state.physicsWorld.removeRigidBody(body);
+  for (const body of bodies) addBodyToWorld(state, body, state.bodyLayers.get(Ammo.getPointer(body)));
+}
+
+// The interpolation history would otherwise blend from the pre-load pose for one frame
+function restorePreviousTransform(prevPos, prevQuat, saved) {
+  if (!prevPos) return;
+  prevPos.fromArray(saved.position);
+  prevQuat.fromArray(saved.quaternion);
+}
+
+// Jump straight to the saved clip (no crossfade); headless runs only track the state name
+function restoreAnimationState(state, name, moveAnimDir) {
+  const action = state.playerActions[name];
+  if (action && state.playerCurrentAction !== action) {
+    if (state.playerCurrentAction) state.playerCurrentAction.stop();
+    action.reset();
+    action.play();
+    state.playerCurrentAction = action;
+  }
+  state.playerCurrentState = name;
+  applyMoveAnimDirection(state, moveAnimDir, true);
+  state.moveAnimDir = (moveAnimDir < 0) ? -1 : 1;
 }
 
 // ------------------------------------------------------------
@@ -151,22 +1217,23 @@ function initThree(state, CONFIG) {
   document.body.style.cursor = "default";
 
   const requestLock = () => {
+    if (state.editor?.active) return; // clicks select objects in editor mode
     if (document.pointerLockElement !== canvas) canvas.requestPointerLock?.();
   };
 
-  canvas.addEventListener("click", () => requestLock());
+  listen(state, canvas, "click", () => requestLock());
 
-  document.addEventListener("pointerlockchange", () => {
+  listen(state, document, "pointerlockchange", () => {
     state.pointerLocked = (document.pointerLockElement === canvas);
     document.body.style.cursor = state.pointerLocked ? "none" : "default";
   });
 
-  document.addEventListener("pointerlockerror", () => {
+  listen(state, document, "pointerlockerror", () => {
     state.pointerLocked = false;
     document.body.style.cursor = "default";
   });
 
-  document.addEventListener("mousemove", (e) => {
+  listen(state, document, "mousemove", (e) => {
     if (!state.pointerLocked) return;
 
     state.cameraYaw   -= e.movementX * CONFIG.MOUSE_YAW_SENSITIVITY;
@@ -178,13 +1245,13 @@ function initThree(state, CONFIG) {
     );
   });
 
-  document.addEventListener("keydown", (e) => {
+  listen(state, document, "keydown", (e) => {
     if (e.key === "Escape" || e.code === "Escape") {
       if (document.pointerLockElement === canvas) document.exitPointerLock?.();
     }
   });
 
-  canvas.addEventListener("wheel", (e) => {
+  listen(state, canvas, "wheel", (e) => {
     e.preventDefault();
     const delta = Math.sign(e.deltaY);
     state.cameraDistance = THREE.MathUtils.clamp(
@@ -194,7 +1261,7 @@ function initThree(state, CONFIG) {
     );
   }, { passive: false });
 
-  window.addEventListener("resize", () => onResize(state));
+  listen(state, window, "resize", () => onResize(state));
 }
 
 function onResize(state) {
@@ -208,26 +1275,167 @@ function onResize(state) {
 // Ammo init
 // ------------------------------------------------------------
 function initPhysics(state, CONFIG) {
-  const config = new Ammo.btDefaultCollisionConfiguration();
-  state.dispatcher = new Ammo.btCollisionDispatcher(config);
-  const broadphase = new Ammo.btDbvtBroadphase();
-  const solver = new Ammo.btSequentialImpulseConstraintSolver();
+  state.collisionMasks = buildCollisionMasks(CONFIG.COLLISION_MATRIX);
+  checkCollisionLayers(CONFIG.PLAYER_SOLID_LAYERS, "PLAYER_SOLID_LAYERS"); // read every tick, so catch typos now
+  state.collisionConfig = new Ammo.btDefaultCollisionConfiguration();
+  state.dispatcher = new Ammo.btCollisionDispatcher(state.collisionConfig);
+  state.broadphase = new Ammo.btDbvtBroadphase();
+  state.solver = new Ammo.btSequentialImpulseConstraintSolver();
   state.physicsWorld = new Ammo.btDiscreteDynamicsWorld(
     state.dispatcher,
-    broadphase,
-    solver,
-    config
+    state.broadphase,
+    state.solver,
+    state.collisionConfig
   );
-  state.physicsWorld.setGravity(new Ammo.btVector3(0, CONFIG.GRAVITY, 0));
+  const gravity = new Ammo.btVector3(0, CONFIG.GRAVITY, 0);
+  state.physicsWorld.setGravity(gravity);
+  Ammo.destroy(gravity);
 }
 
-// ------------------------------------------------------------
-// Debug UI
-// ------------------------------------------------------------
-function createDebugUI(state, CONFIG) {
-  const ui = document.createElement("div");
-  ui.id = "debug-ui";
-
+// Every `new Ammo.X` lives on the WASM heap until Ammo.destroy, so the per-tick path (movement, ground
+// ray, visual sync) reuses these instead of allocating. Fill one and hand it to Ammo right away: the
+// next helper may overwrite it.
+function createAmmoScratch(state) {
+  state.tmpTransform = new Ammo.btTransform();
+  state.tmpVecA = new Ammo.btVector3(0, 0, 0);
+  state.tmpVecB = new Ammo.btVector3(0, 0, 0);
+  state.tmpQuat = new Ammo.btQuaternion(0, 0, 0, 1);
+  state.tmpRayCallback = new Ammo.ClosestRayResultCallback(state.tmpVecA, state.tmpVecB);
+}
+
+function destroyAmmoScratch(state) {
+  for (const key of ["tmpTransform", "tmpVecA", "tmpVecB", "tmpQuat", "tmpRayCallback"]) {
+    if (state[key]) Ammo.destroy(state[key]);
+  }
+}
+
+// Closest-hit ray test with the reused callback (reset first: it keeps the last hit otherwise).
+// layerBits (see collisionLayerBits) limits what the ray can hit; the default hits everything.
+function rayTestClosest(state, fromX, fromY, fromZ, toX, toY, toZ, layerBits = -1) {
+  const from = state.tmpVecA;
+  const to = state.tmpVecB;
+  from.setValue(fromX, fromY, fromZ);
+  to.setValue(toX, toY, toZ);
+
+  const cb = state.tmpRayCallback;
+  cb.set_m_closestHitFraction(1);
+  cb.set_m_collisionObject(null);
+  cb.set_m_collisionFilterGroup(COLLISION_QUERY_BIT);
+  cb.set_m_collisionFilterMask(layerBits);
+  cb.set_m_rayFromWorld(from);
+  cb.set_m_rayToWorld(to);
+  state.physicsWorld.rayTest(from, to, cb);
+  return cb;
+}
+
+// ------------------------------------------------------------
+// Collision layers
+// ------------------------------------------------------------
+// Every body belongs to one layer, and CONFIG.COLLISION_MATRIX lists the layers each layer collides
+// with; a pair collides only if both list each other. Bullet filters a pair by checking each body's
+// group against the other's mask:
+//   - dynamic bodies: group = layer bit + COLLISION_DYNAMIC_BIT, mask = the layers they collide with
+//   - static/kinematic bodies: group = layer bit, mask = COLLISION_DYNAMIC_BIT, so they never pair
+//     with each other (like Bullet's own default) and the dynamic side's mask decides
+// Every mask also has COLLISION_QUERY_BIT, the group of ray queries, which filter by their own mask.
+export const COLLISION_LAYERS = ["player", "environment", "debris", "triggers", "projectiles", "npcs"];
+const COLLISION_DYNAMIC_BIT = 1 << COLLISION_LAYERS.length;
+const COLLISION_QUERY_BIT = 1 << (COLLISION_LAYERS.length + 1);
+
+function collisionLayerBit(layer) {
+  const i = COLLISION_LAYERS.indexOf(layer);
+  if (i === -1) throw new Error(`Unknown collision layer "${layer}" (expected one of: ${COLLISION_LAYERS.join(", ")})`);
+  return 1 << i;
+}
+
+// ["environment", "npcs"] -> bit mask (what ray queries and PLAYER_SOLID_LAYERS use)
+function collisionLayerBits(layers) {
+  let bits = 0;
+  for (const layer of layers) bits |= collisionLayerBit(layer);
+  return bits;
+}
+
+function checkCollisionLayers(layers, where) {
+  if (!Array.isArray(layers)) throw new Error(`${where} must be an array of layer names`);
+  const unknown = layers.filter((layer) => !COLLISION_LAYERS.includes(layer));
+  if (unknown.length) throw new Error(`${where}: unknown layer(s) ${unknown.join(", ")} (expected: ${COLLISION_LAYERS.join(", ")})`);
+}
+
+// COLLISION_MATRIX -> { layer: bits of the layers it collides with }, keeping only pairs that list each other
+function buildCollisionMasks(matrix) {
+  checkCollisionLayers(Object.keys(matrix), "COLLISION_MATRIX");
+  for (const [layer, others] of Object.entries(matrix)) checkCollisionLayers(others, `COLLISION_MATRIX.${layer}`);
+  const masks = {};
+  for (const layer of COLLISION_LAYERS) {
+    masks[layer] = 0;
+    for (const other of matrix[layer] ?? []) {
+      if ((matrix[other] ?? []).includes(layer)) masks[layer] |= collisionLayerBit(other);
+    }
+  }
+  return masks;
+}
+
+// Every body goes into the world through here, so its layer can be looked up (and restored when
+// the body is re-added)
+function addBodyToWorld(state, body, layer) {
+  const bit = collisionLayerBit(layer);
+  if (body.isStaticOrKinematicObject()) {
+    state.physicsWorld.addRigidBody(body, bit, COLLISION_DYNAMIC_BIT | COLLISION_QUERY_BIT);
+  } else {
+    state.physicsWorld.addRigidBody(body, bit | COLLISION_DYNAMIC_BIT, state.collisionMasks[layer] | COLLISION_QUERY_BIT);
+  }
+  state.bodyLayers.set(Ammo.getPointer(body), layer);
+}
+
+export function getCollisionLayer(state, handle) {
+  return state.bodyLayers.get(Ammo.getPointer(handle.body)) ?? null;
+}
+
+// Moves an object to another layer, e.g. a crate that breaks into debris the player walks through
+export function setCollisionLayer(state, handle, layer) {
+  collisionLayerBit(layer);
+  state.physicsWorld.removeRigidBody(handle.body);
+  addBodyToWorld(state, handle.body, layer);
+  handle.body.activate();
+  return handle;
+}
+
+// ------------------------------------------------------------
+// Physics materials
+// ------------------------------------------------------------
+// CONFIG.PHYSICS_MATERIALS maps a name to { friction, restitution, accel, brake, speed, footstep }:
+//   - friction/restitution go on the body; Bullet multiplies them with the other body's in a contact
+//   - accel/brake/speed scale PLAYER_ACCEL/PLAYER_BRAKE/PLAYER_MAX_SPEED while the player stands on it
+//   - footstep is the tag reported in state.playerFootstep (default: the material's name)
+// Objects without a material keep their spawner's friction/restitution and move the player normally.
+function getPhysicsMaterial(CONFIG, name) {
+  const material = CONFIG.PHYSICS_MATERIALS?.[name];
+  if (!material) {
+    throw new Error(`Unknown physics material "${name}" (expected one of: ${Object.keys(CONFIG.PHYSICS_MATERIALS ?? {}).join(", ")})`);
+  }
+  return material;
+}
+
+function applyPhysicsMaterial(CONFIG, body, name) {
+  const material = getPhysicsMaterial(CONFIG, name);
+  if (material.friction !== undefined) body.setFriction(material.friction);
+  if (material.restitution !== undefined) body.setRestitution(material.restitution);
+}
+
+// Gives an object another material, e.g. a floor that freezes over
+export function setPhysicsMaterial(state, CONFIG, handle, name) {
+  applyPhysicsMaterial(CONFIG, handle.body, name);
+  handle.material = name;
+  return handle;
+}
+
+// ------------------------------------------------------------
+// Debug UI
+// ------------------------------------------------------------
+function createDebugUI(state, CONFIG) {
+  const ui = document.createElement("div");
+  ui.id = "debug-ui";
+
   ui.innerHTML = `
     <div class="ui-header">
       <div class="title">Controls</div>
@@ -241,6 +1449,70 @@ function createDebugUI(state, CONFIG) {
       </label>
       <div class="hint">Toggle hotkey: <b>\`</b></div>
 
+      <div class="section">
+        <div class="hint" style="margin-top:0;">Physics debug draw (Bullet)</div>
+        <label><input data-physics-debug="shapes" type="checkbox" /><span>Shapes</span></label>
+        <label><input data-physics-debug="aabbs" type="checkbox" /><span>AABBs</span></label>
+        <label><input data-physics-debug="contacts" type="checkbox" /><span>Contact points</span></label>
+        <label><input data-physics-debug="normals" type="checkbox" /><span>Contact normals</span></label>
+        <label><input data-physics-debug="constraints" type="checkbox" /><span>Constraints</span></label>
+      </div>
+
+      <div class="section">
+        <label>
+          <input id="editor-toggle" type="checkbox" />
+          <span>Level Editor</span>
+        </label>
+        <div class="hint">Toggle hotkey: <b>F2</b> (pauses the game)</div>
+
+        <div id="editor-tools" style="display:none;">
+          <div class="hint" id="editor-selection"></div>
+          <div class="row">
+            <button id="editor-translate" type="button">Move (W)</button>
+            <button id="editor-rotate" type="button">Rotate (E)</button>
+            <button id="editor-scale" type="button">Scale (R)</button>
+            <button id="editor-delete" type="button">Delete</button>
+          </div>
+          <div class="row">
+            <button id="editor-add-box" type="button">+ Box</button>
+            <button id="editor-add-capsule" type="button">+ Capsule</button>
+            <button id="editor-add-sphere" type="button">+ Sphere</button>
+            <button id="editor-add-cylinder" type="button">+ Cylinder</button>
+            <button id="editor-add-cone" type="button">+ Cone</button>
+          </div>
+          <div class="row">
+            <select id="editor-model"></select>
+            <button id="editor-add-model" type="button">+ Model</button>
+          </div>
+          <div class="row">
+            <button id="editor-export" type="button">Export level</button>
+          </div>
+          <div class="hint">Left-drag: orbit · Right-drag: pan · Scroll: zoom · Esc: deselect</div>
+        </div>
+      </div>
+
+      <div class="section" id="tuning-panel">
+        <details>
+          <summary>Tuning</summary>
+          <div id="tuning-sections"></div>
+          <div class="row">
+            <input id="tuning-preset-name" type="text" placeholder="preset name" />
+            <button id="tuning-preset-save" type="button">Save</button>
+          </div>
+          <div class="row">
+            <select id="tuning-preset-select"></select>
+            <button id="tuning-preset-load" type="button">Load</button>
+            <button id="tuning-preset-delete" type="button">Delete</button>
+          </div>
+          <div class="row">
+            <button id="tuning-reset" type="button">Reset</button>
+            <button id="tuning-export" type="button">Export</button>
+            <button id="tuning-import" type="button">Import</button>
+            <input id="tuning-preset-file" type="file" accept="application/json,.json" hidden />
+          </div>
+        </details>
+      </div>
+
       <div class="section">
         <div class="hint" style="margin-top:0;">Gameplay</div>
         <ul>
@@ -262,19 +1534,37 @@ function createDebugUI(state, CONFIG) {
     </div>
   `;
   document.body.appendChild(ui);
+  state.debugUi = ui;
 
   state.debugUiCheckbox = ui.querySelector("#debug-toggle");
   state.debugUiCheckbox.checked = CONFIG.DEBUG_MODE;
 
-  state.debugUiCheckbox.addEventListener("change", () => {
+  listen(state, state.debugUiCheckbox, "change", () => {
     setDebugMode(state, CONFIG, state.debugUiCheckbox.checked);
   });
 
   state.debugUiCheckbox.tabIndex = -1;
-  state.debugUiCheckbox.addEventListener("keydown", (e) => {
+  listen(state, state.debugUiCheckbox, "keydown", (e) => {
     if (e.code === "Space") { e.preventDefault(); e.stopPropagation(); }
   });
-  state.debugUiCheckbox.addEventListener("click", () => state.debugUiCheckbox.blur());
+  listen(state, state.debugUiCheckbox, "click", () => state.debugUiCheckbox.blur());
+
+  for (const checkbox of ui.querySelectorAll("[data-physics-debug]")) {
+    checkbox.tabIndex = -1;
+    listen(state, checkbox, "change", () => {
+      setPhysicsDebugDraw(state, { [checkbox.dataset.physicsDebug]: checkbox.checked });
+      checkbox.blur();
+    });
+  }
+
+  state.editorUiCheckbox = ui.querySelector("#editor-toggle");
+  state.editorUiCheckbox.tabIndex = -1;
+  listen(state, state.editorUiCheckbox, "change", () => {
+    setEditorMode(state, CONFIG, state.editorUiCheckbox.checked);
+    state.editorUiCheckbox.blur();
+  });
+  createEditorUI(state, CONFIG, ui);
+  createTuningUI(state, CONFIG, ui);
 
   const collapseBtn = ui.querySelector("#ui-collapse");
   const setCollapsed = (collapsed) => {
@@ -282,17 +1572,22 @@ function createDebugUI(state, CONFIG) {
     collapseBtn.textContent = collapsed ? "Show" : "Hide";
     collapseBtn.setAttribute("aria-label", collapsed ? "Show controls" : "Hide controls");
   };
-  collapseBtn.addEventListener("click", (e) => {
+  listen(state, collapseBtn, "click", (e) => {
     e.preventDefault();
     e.stopPropagation();
     setCollapsed(!ui.classList.contains("collapsed"));
   });
 
-  window.addEventListener("keydown", (e) => {
+  listen(state, window, "keydown", (e) => {
+    if (isTypingTarget(e.target)) return;
     if (e.code === "Backquote") {
       setDebugMode(state, CONFIG, !CONFIG.DEBUG_MODE);
       CONFIG.DEBUG_MODE = !CONFIG.DEBUG_MODE;
     }
+    if (e.code === "F2") {
+      e.preventDefault();
+      setEditorMode(state, CONFIG, !state.editor?.active);
+    }
   });
 }
 
@@ -303,15 +1598,11 @@ function setDebugMode(state, CONFIG, on) {
   if (state.playerDebugMesh) state.playerDebugMesh.visible = on;
 
   for (const obj of state.gameObjects) {
-    if (obj.mesh) obj.mesh.visible = on;
+    if (obj.debugMesh) obj.debugMesh.visible = on;
     if (obj.axes) obj.axes.visible = on;
   }
   for (const entry of state.debugAxes) entry.group.visible = on;
-
-  for (const t of state.staticTrimeshDebug) {
-    if (t.mesh) t.mesh.visible = on;
-    if (t.axes) t.axes.visible = on;
-  }
+  for (const c of state.constraints) c.axes.visible = on;
 }
 
 function createAxes(state, CONFIG, length = 8) {
@@ -320,384 +1611,3571 @@ function createAxes(state, CONFIG, length = 8) {
   const y = new THREE.ArrowHelper(new THREE.Vector3(0,1,0), new THREE.Vector3(0,0,0), length, 0x44ff44);
   const z = new THREE.ArrowHelper(new THREE.Vector3(0,0,1), new THREE.Vector3(0,0,0), length, 0x4444ff);
   g.add(x, y, z);
+  // ArrowHelpers share one line + cone geometry between all instances; never dispose those
+  g.traverse((c) => { if (c.geometry) c.userData.sharedGeometry = true; });
   g.visible = CONFIG.DEBUG_MODE;
   state.scene && state.scene.add(g);
   return g;
 }
 
+// ------------------------------------------------------------
+// Physics debug draw (Bullet's debugDrawWorld)
+// ------------------------------------------------------------
+// The Debug Colliders meshes are built once from the spawn parameters; these lines come from Bullet
+// itself every rendered frame: the real plane, capsule and BVH triangle shapes, their AABBs, the contact
+// points/normals of the last step and the constraint frames and limits. They show the physics pose, so a
+// moving body can be up to one tick ahead of its interpolated mesh.
+const PHYSICS_DEBUG_MODES = {
+  shapes: 1,   // DBG_DrawWireframe
+  aabbs: 2,    // DBG_DrawAabb
+  contacts: 8, // DBG_DrawContactPoints
+  normals: 8,  // same bit: Bullet reports each contact once and drawContactPoint picks what to draw
+  constraints: 2048 | 4096, // DBG_DrawConstraints | DBG_DrawConstraintLimits
+};
+const PHYSICS_DEBUG_CONTACT_COLOR = [1, 1, 0];
+const PHYSICS_DEBUG_NORMAL_COLOR = [1, 0, 1];
+const PHYSICS_DEBUG_CONTACT_SIZE = 0.25; // half-length of the cross marking a contact point
+const PHYSICS_DEBUG_NORMAL_LENGTH = 2;
+const PHYSICS_DEBUG_MIN_CAPACITY = 4096; // lines; the buffers double when a frame needs more
+
+// Switches categories on/off, e.g. setPhysicsDebugDraw(state, { shapes: true, contacts: true }).
+// Categories that aren't given keep their current value.
+export function setPhysicsDebugDraw(state, categories) {
+  if (!state.physicsWorld) return;
+  for (const key of Object.keys(categories)) {
+    if (!(key in PHYSICS_DEBUG_MODES)) throw new Error(`Unknown physics debug category "${key}"`);
+  }
+  if (!state.physicsDebug) state.physicsDebug = createPhysicsDebugDraw(state);
+
+  const debug = state.physicsDebug;
+  for (const key of Object.keys(categories)) debug.categories[key] = !!categories[key];
+  debug.mode = 0;
+  for (const key of Object.keys(PHYSICS_DEBUG_MODES)) {
+    if (debug.categories[key]) debug.mode |= PHYSICS_DEBUG_MODES[key];
+  }
+  debug.lines.visible = debug.mode !== 0;
+
+  if (state.debugUi) {
+    for (const checkbox of state.debugUi.querySelectorAll("[data-physics-debug]")) {
+      checkbox.checked = debug.categories[checkbox.dataset.physicsDebug];
+    }
+  }
+}
+
+export function getPhysicsDebugDraw(state) {
+  const categories = {};
+  for (const key of Object.keys(PHYSICS_DEBUG_MODES)) categories[key] = !!state.physicsDebug?.categories[key];
+  return categories;
+}
+
+function createPhysicsDebugDraw(state) {
+  // drawn over everything: the player's capsule and most colliders sit inside their models
+  const material = new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true });
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+  lines.frustumCulled = false;
+  lines.renderOrder = 999;
+  lines.visible = false;
+  state.scene.add(lines);
+
+  const debug = {
+    drawer: new Ammo.DebugDrawer(),
+    lines,
+    categories: {},
+    mode: 0,
+    count: 0,
+    capacity: 0,
+    positions: null,
+    colors: null,
+  };
+  growPhysicsDebugBuffers(debug, PHYSICS_DEBUG_MIN_CAPACITY);
+
+  // Bullet passes raw WASM pointers to btVector3s; read their floats off the heap rather than
+  // wrapping each one (thousands per frame for a trimesh)
+  const drawer = debug.drawer;
+  drawer.drawLine = (from, to, color) => {
+    const heap = Ammo.HEAPF32;
+    const a = from >> 2, b = to >> 2, c = color >> 2;
+    pushPhysicsDebugLine(debug, heap[a], heap[a + 1], heap[a + 2], heap[b], heap[b + 1], heap[b + 2], heap[c], heap[c + 1], heap[c + 2]);
+  };
+  drawer.drawContactPoint = (pointOnB, normalOnB, distance, lifeTime, color) => {
+    const heap = Ammo.HEAPF32;
+    const p = pointOnB >> 2, n = normalOnB >> 2;
+    const x = heap[p], y = heap[p + 1], z = heap[p + 2];
+    if (debug.categories.contacts) {
+      const s = PHYSICS_DEBUG_CONTACT_SIZE;
+      const [r, g, bl] = PHYSICS_DEBUG_CONTACT_COLOR;
+      pushPhysicsDebugLine(debug, x - s, y, z, x + s, y, z, r, g, bl);
+      pushPhysicsDebugLine(debug, x, y - s, z, x, y + s, z, r, g, bl);
+      pushPhysicsDebugLine(debug, x, y, z - s, x, y, z + s, r, g, bl);
+    }
+    if (debug.categories.normals) {
+      const l = PHYSICS_DEBUG_NORMAL_LENGTH;
+      const [r, g, bl] = PHYSICS_DEBUG_NORMAL_COLOR;
+      pushPhysicsDebugLine(debug, x, y, z, x + heap[n] * l, y + heap[n + 1] * l, z + heap[n + 2] * l, r, g, bl);
+    }
+  };
+  drawer.reportErrorWarning = (message) => console.warn("Bullet:", Ammo.UTF8ToString(message));
+  drawer.draw3dText = () => {};
+  drawer.setDebugMode = () => {}; // the mode comes from setPhysicsDebugDraw
+  drawer.getDebugMode = () => debug.mode;
+  state.physicsWorld.setDebugDrawer(drawer);
+
+  return debug;
+}
+
+// Buffers are fixed-size on the GPU, so growing swaps in new attributes (and frees the old buffers)
+function growPhysicsDebugBuffers(debug, capacity) {
+  const positions = new Float32Array(capacity * 6);
+  const colors = new Float32Array(capacity * 6);
+  if (debug.positions) {
+    positions.set(debug.positions);
+    colors.set(debug.colors);
+  }
+  debug.positions = positions;
+  debug.colors = colors;
+  debug.capacity = capacity;
+
+  const geometry = debug.lines.geometry;
+  geometry.dispose();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+}
+
+function pushPhysicsDebugLine(debug, ax, ay, az, bx, by, bz, r, g, b) {
+  if (debug.count === debug.capacity) growPhysicsDebugBuffers(debug, debug.capacity * 2);
+  const i = debug.count++ * 6;
+  const p = debug.positions, c = debug.colors;
+  p[i] = ax; p[i + 1] = ay; p[i + 2] = az;
+  p[i + 3] = bx; p[i + 4] = by; p[i + 5] = bz;
+  c[i] = r; c[i + 1] = g; c[i + 2] = b;
+  c[i + 3] = r; c[i + 4] = g; c[i + 5] = b;
+}
+
+// Refills the lines from the current physics state (only the used part of the buffers is uploaded)
+function updatePhysicsDebugDraw(state) {
+  const debug = state.physicsDebug;
+  debug.count = 0;
+  state.physicsWorld.debugDrawWorld();
+
+  const geometry = debug.lines.geometry;
+  geometry.setDrawRange(0, debug.count * 2);
+  if (debug.count === 0) return;
+  for (const attribute of [geometry.attributes.position, geometry.attributes.color]) {
+    attribute.updateRange.count = debug.count * 6;
+    attribute.needsUpdate = true;
+  }
+}
+
+// ------------------------------------------------------------
+// Tuning panel (live CONFIG editing + presets)
+// ------------------------------------------------------------
+// Numbers get a slider + number box, booleans a checkbox, Vector3s three number boxes. Sections follow
+// the CONFIG layout in basic_game.html; numeric/boolean/Vector3 keys not listed here (e.g. ones your game
+// adds) show up under "Other". Values are JSON-friendly: Vector3 <-> [x, y, z].
+const TUNING_SECTIONS = [
+  { title: "World", keys: ["GRAVITY", "DEBUG_MODE", "PHYSICS_FIXED_TIMESTEP", "PHYSICS_STEP_SIZE", "PHYSICS_MAX_SUBSTEPS"] },
+  { title: "Streaming", keys: ["CHUNK_LOAD_DISTANCE", "CHUNK_UNLOAD_DISTANCE", "CHUNK_SPAWN_BUDGET_MS"] },
+  { title: "Player body", keys: ["PLAYER_RADIUS", "PLAYER_HEIGHT", "PLAYER_MASS"] },
+  {
+    title: "Movement",
+    keys: [
+      "PLAYER_MOVE_MIDAIR", "PLAYER_MID_AIR_DAMPEN", "PLAYER_JUMP_IMPULSE", "PLAYER_MAX_SPEED", "PLAYER_ACCEL",
+      "PLAYER_BRAKE", "PLAYER_AIR_ACCEL", "PLAYER_AIR_BRAKE", "PLAYER_SIDE_DAMP_GROUND", "PLAYER_SIDE_DAMP_AIR",
+      "PLAYER_USE_STRAFE_DAMP", "TURN_SPEED",
+    ],
+  },
+  {
+    title: "Wall slide",
+    keys: [
+      "PLAYER_DEFAULT_FRICTION", "WALL_SLIDE_FRICTION", "WALL_SLIDE_MAX_FALL_SPEED", "WALL_NORMAL_MAX_Y",
+      "GROUND_NORMAL_MIN_Y", "GROUND_BAND_FRACTION",
+    ],
+  },
+  { title: "Climb", keys: ["WALL_CLIMB_SPEED", "WALL_CLIMB_STICK_SPEED", "WALL_CLIMB_MIN_NORMAL", "WALL_CLIMB_EXIT_COOLDOWN"] },
+  {
+    title: "Animation",
+    keys: [
+      "CLIMB_ANIM_GRACE_SECONDS", "CLIMB_ANIM_PROBE_DISTANCE", "CLIMB_ANIM_PROBE_START_PAD", "ANIM_PROBE_LENGTH",
+      "ANIM_FALL_TRIGGER_DISTANCE", "ANIM_GROUND_SNAP_DISTANCE", "ANIM_AIR_MIN_TIME", "MOVE_SPEED_THRESHOLD", "FADE_SECONDS",
+    ],
+  },
+  {
+    title: "Camera",
+    keys: [
+      "CAMERA_MIN_DISTANCE", "CAMERA_MAX_DISTANCE", "CAMERA_VERTICAL_OFFSET", "CAMERA_DEFAULT_PITCH", "CAMERA_MIN_PITCH",
+      "CAMERA_MAX_PITCH", "CAMERA_BELOW_PLAYER_ENABLE_HEIGHT", "CAMERA_MIN_PITCH_BELOW", "MOUSE_YAW_SENSITIVITY",
+      "MOUSE_PITCH_SENSITIVITY", "GROUND_PLANE_Y",
+    ],
+  },
+  { title: "Player visuals", keys: ["PLAYER_MODEL_SCALE", "PLAYER_MODEL_OFFSET"] },
+];
+
+// Only read while starting up (or structural), so changing them at runtime would do nothing useful
+const TUNING_EXCLUDED = new Set(["HEADLESS", "PHYSICS_WORKER", "PLANE_SIZE", "PLAYER_STARTING_POSITION", "PLAYER_STARTING_YAW_DEG"]);
+
+// Keys that only make sense in a range; the panel's sliders and inputs stay inside it and
+// applyTuningValues() skips values outside it (for vectors, every component).
+const TUNING_LIMITS = {
+  PHYSICS_STEP_SIZE: { min: 0.001, max: 0.1 },
+  PHYSICS_MAX_SUBSTEPS: { min: 1, max: 20, integer: true },
+  PLAYER_RADIUS: { min: 0.1 },
+  PLAYER_HEIGHT: { min: 0.2 },
+  PLAYER_MASS: { min: 0.01 },
+  PLAYER_MODEL_SCALE: { min: 0.001 },
+  CAMERA_MIN_DISTANCE: { min: 0 },
+  CAMERA_MAX_DISTANCE: { min: 0 },
+  CHUNK_LOAD_DISTANCE: { min: 0 },
+  CHUNK_UNLOAD_DISTANCE: { min: 0 },
+  CHUNK_SPAWN_BUDGET_MS: { min: 0 },
+};
+
+// Keys that are baked into objects when they're created; everything else is read from CONFIG every tick.
+// Each runs once per applyTuningValues() call with the previous values of the keys that changed.
+const TUNING_APPLIERS = {
+  GRAVITY: applyGravity,
+  DEBUG_MODE: (state, CONFIG) => setDebugMode(state, CONFIG, CONFIG.DEBUG_MODE),
+  PLAYER_RADIUS: rebuildPlayerBody,
+  PLAYER_HEIGHT: rebuildPlayerBody,
+  PLAYER_MASS: rebuildPlayerBody,
+  PLAYER_DEFAULT_FRICTION: (state, CONFIG) => state.Player?.setFriction(CONFIG.PLAYER_DEFAULT_FRICTION),
+  PLAYER_MODEL_SCALE: (state, CONFIG) => state.playerVisual?.scale.copy(CONFIG.PLAYER_MODEL_SCALE),
+  CHUNK_LOAD_DISTANCE: warnChunkDistances,
+  CHUNK_UNLOAD_DISTANCE: warnChunkDistances,
+};
+
+const TUNING_PRESETS_STORAGE_KEY = "gameCore.tuningPresets";
+
+function tuningValueKind(value) {
+  if (typeof value === "number") return "number";
+  if (typeof value === "boolean") return "boolean";
+  if (value?.isVector3) return "vector3";
+  return null;
+}
+
+function tunableKeys(CONFIG) {
+  return Object.keys(CONFIG).filter((k) => !TUNING_EXCLUDED.has(k) && tuningValueKind(CONFIG[k]));
+}
+
+// Current values of every tunable key, as plain JSON data (what a preset stores)
+export function getTuningValues(CONFIG) {
+  const values = {};
+  for (const key of tunableKeys(CONFIG)) {
+    const v = CONFIG[key];
+    values[key] = v?.isVector3 ? v.toArray() : v;
+  }
+  return values;
+}
+
+// Sets CONFIG keys from a { KEY: value } object and re-creates whatever depends on them (player body,
+// gravity, ...). Unknown keys and values of the wrong type are skipped with a warning.
+export function applyTuningValues(state, CONFIG, values) {
+  const previous = {};
+  const skipped = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const kind = TUNING_EXCLUDED.has(key) ? null : tuningValueKind(CONFIG[key]);
+    const ok = (kind === "vector3")
+      ? Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+      : (kind === "number" ? Number.isFinite(value) : typeof value === kind);
+    if (!kind || !ok || !tuningValueInLimits(key, value)) {
+      skipped.push(key);
+      continue;
+    }
+
+    if (kind === "vector3") {
+      if (CONFIG[key].equals(new THREE.Vector3(...value))) continue;
+      previous[key] = CONFIG[key].clone();
+      CONFIG[key].fromArray(value); // in place: the core keeps references to some of these
+    } else {
+      if (CONFIG[key] === value) continue;
+      previous[key] = CONFIG[key];
+      CONFIG[key] = value;
+    }
+  }
+  if (skipped.length) console.warn(`applyTuningValues: skipped ${skipped.join(", ")} (unknown key, wrong type or out of range)`);
+
+  const appliers = new Set(Object.keys(previous).map((k) => TUNING_APPLIERS[k]).filter(Boolean));
+  for (const apply of appliers) apply(state, CONFIG, previous);
+  refreshTuningUI(state, CONFIG);
+  // the simulation reads the worker's CONFIG
+  if (state.physicsWorker && Object.keys(previous).length) {
+    state.physicsWorker.worker.postMessage({ type: "tuning", values: getTuningValues(CONFIG) });
+  }
+}
+
+// Bullet copies the world gravity into each body when it's added, so existing bodies need it too
+function applyGravity(state, CONFIG) {
+  if (!state.physicsWorld) return;
+  const g = new Ammo.btVector3(0, CONFIG.GRAVITY, 0);
+  state.physicsWorld.setGravity(g);
+  for (const obj of state.gameObjects) {
+    if (!obj.body || obj.body.isStaticObject()) continue;
+    obj.body.setGravity(g);
+    obj.body.activate();
+  }
+  if (state.Player) state.Player.setGravity(g);
+  Ammo.destroy(g);
+}
+
+// New capsule with the current PLAYER_RADIUS/HEIGHT/MASS, standing where the old one stood (same feet
+// position, rotation and velocity). Skipped while the size is invalid (height < 2 * radius).
+function rebuildPlayerBody(state, CONFIG, previous) {
+  const old = state.Player;
+  if (!old) return;
+  if (!(CONFIG.PLAYER_RADIUS > 0) || CONFIG.PLAYER_HEIGHT < 2 * CONFIG.PLAYER_RADIUS || !(CONFIG.PLAYER_MASS > 0)) {
+    console.warn("Player body not rebuilt: needs PLAYER_RADIUS > 0, PLAYER_HEIGHT >= 2 * PLAYER_RADIUS and PLAYER_MASS > 0");
+    return;
+  }
+
+  const oldHeight = previous.PLAYER_HEIGHT ?? CONFIG.PLAYER_HEIGHT;
+  const t = old.getWorldTransform();
+  const o = t.getOrigin();
+  const r = t.getRotation();
+  const lv = old.getLinearVelocity();
+  const center = new THREE.Vector3(o.x(), o.y() - oldHeight / 2 + CONFIG.PLAYER_HEIGHT / 2, o.z());
+  const rotation = new THREE.Quaternion(r.x(), r.y(), r.z(), r.w());
+  const velocity = new Ammo.btVector3(lv.x(), lv.y(), lv.z());
+
+  const axes = old.__axes;
+  destroyRigidBody(state, old);
+
+  const body = createPlayerBody(state, CONFIG, center, rotation);
+  body.setLinearVelocity(velocity);
+  Ammo.destroy(velocity);
+  body.__axes = axes;
+
+  // the model hangs from the capsule's center, so keep its feet on the capsule's bottom (unless the
+  // same change set the offset explicitly, e.g. a preset)
+  if (!("PLAYER_MODEL_OFFSET" in previous)) CONFIG.PLAYER_MODEL_OFFSET.y -= (CONFIG.PLAYER_HEIGHT - oldHeight) / 2;
+
+  if (state.playerDebugMesh) {
+    state.playerDebugMesh.geometry.dispose();
+    state.playerDebugMesh.geometry = new THREE.CapsuleGeometry(
+      CONFIG.PLAYER_RADIUS, CONFIG.PLAYER_HEIGHT - 2 * CONFIG.PLAYER_RADIUS, 8, 16
+    );
+  }
+  if (state.playerPrevPosition) {
+    state.playerPrevPosition.copy(center);
+    state.playerPrevQuaternion.copy(rotation);
+  }
+}
+
+function readTuningPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(TUNING_PRESETS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeTuningPresets(presets) {
+  localStorage.setItem(TUNING_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+function tuningValueInLimits(key, value) {
+  const limits = TUNING_LIMITS[key];
+  if (!limits) return true;
+  return [value].flat().every((v) =>
+    v >= (limits.min ?? -Infinity) && v <= (limits.max ?? Infinity) && (!limits.integer || Number.isInteger(v)));
+}
+
+function tuningSliderRange(key, value) {
+  const limits = TUNING_LIMITS[key] ?? {};
+  let [min, max] = value > 0 ? [0, value * 3] : value < 0 ? [value * 3, 0] : [-10, 10];
+  min = Math.max(min, limits.min ?? -Infinity);
+  max = Math.min(max, limits.max ?? Infinity);
+  return { min, max, step: limits.integer ? 1 : (max - min) / 300 };
+}
+
+function createTuningUI(state, CONFIG, ui) {
+  const panel = ui.querySelector("#tuning-panel");
+  const body = panel.querySelector("#tuning-sections");
+  const defaults = getTuningValues(CONFIG);
+  const rows = new Map(); // key -> (value) => void, pushes a CONFIG value back into the inputs
+  state.tuningUi = { panel, rows };
+
+  const listed = new Set(TUNING_SECTIONS.flatMap((s) => s.keys));
+  const other = tunableKeys(CONFIG).filter((k) => !listed.has(k));
+  const sections = [...TUNING_SECTIONS, { title: "Other", keys: other }];
+
+  const numberInput = (key, value, onChange) => {
+    const limits = TUNING_LIMITS[key] ?? {};
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = limits.integer ? 1 : "any";
+    if (limits.min !== undefined) input.min = limits.min;
+    if (limits.max !== undefined) input.max = limits.max;
+    input.value = value;
+    listen(state, input, "change", () => {
+      if (input.value !== "" && Number.isFinite(Number(input.value))) onChange(Number(input.value));
+    });
+    return input;
+  };
+
+  for (const section of sections) {
+    const keys = section.keys.filter((k) => k in CONFIG && !TUNING_EXCLUDED.has(k) && tuningValueKind(CONFIG[k]));
+    if (!keys.length) continue;
+
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = section.title;
+    details.appendChild(summary);
+
+    for (const key of keys) {
+      const row = document.createElement("div");
+      row.className = "tuning-row";
+      const label = document.createElement("span");
+      label.className = "tuning-key";
+      label.textContent = key;
+      label.title = key;
+      row.appendChild(label);
+
+      const set = (value) => applyTuningValues(state, CONFIG, { [key]: value });
+      const kind = tuningValueKind(CONFIG[key]);
+
+      if (kind === "boolean") {
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = CONFIG[key];
+        listen(state, box, "change", () => {
+          set(box.checked);
+          box.blur(); // hand the keyboard back to the game
+        });
+        row.appendChild(box);
+        rows.set(key, (v) => { box.checked = v; });
+      } else if (kind === "number") {
+        const { min, max, step } = tuningSliderRange(key, CONFIG[key]);
+        const slider = document.createElement("input");
+        slider.type = "range";
+        Object.assign(slider, { min, max, step, value: CONFIG[key] });
+        const box = numberInput(key, CONFIG[key], set);
+        listen(state, slider, "input", () => set(Number(slider.value)));
+        listen(state, slider, "change", () => slider.blur());
+        row.append(slider, box);
+        rows.set(key, (v) => {
+          slider.value = v;
+          box.value = Number(v.toPrecision(6));
+        });
+      } else {
+        const boxes = [0, 1, 2].map((i) => numberInput(key, CONFIG[key].getComponent(i), (n) => {
+          const v = CONFIG[key].toArray();
+          v[i] = n;
+          set(v);
+        }));
+        row.append(...boxes);
+        rows.set(key, (v) => boxes.forEach((b, i) => { b.value = Number(v[i].toPrecision(6)); }));
+      }
+      details.appendChild(row);
+    }
+    body.appendChild(details);
+  }
+
+  // presets
+  const nameInput = panel.querySelector("#tuning-preset-name");
+  const select = panel.querySelector("#tuning-preset-select");
+  const fileInput = panel.querySelector("#tuning-preset-file");
+  const refreshPresetList = () => {
+    select.replaceChildren(...Object.keys(readTuningPresets()).sort().map((name) => new Option(name, name)));
+  };
+  refreshPresetList();
+
+  const on = (sel, fn) => listen(state, panel.querySelector(sel), "click", (e) => {
+    e.preventDefault();
+    e.currentTarget.blur();
+    fn();
+  });
+  on("#tuning-preset-save", () => {
+    const name = nameInput.value.trim();
+    if (!name) return;
+    writeTuningPresets({ ...readTuningPresets(), [name]: getTuningValues(CONFIG) });
+    refreshPresetList();
+    select.value = name;
+  });
+  on("#tuning-preset-load", () => {
+    const preset = readTuningPresets()[select.value];
+    if (preset) applyTuningValues(state, CONFIG, preset);
+  });
+  on("#tuning-preset-delete", () => {
+    const presets = readTuningPresets();
+    delete presets[select.value];
+    writeTuningPresets(presets);
+    refreshPresetList();
+  });
+  on("#tuning-reset", () => applyTuningValues(state, CONFIG, defaults));
+  on("#tuning-export", () => {
+    const blob = new Blob([JSON.stringify(getTuningValues(CONFIG), null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `${(nameInput.value.trim() || select.value || "tuning").replace(/[^\w-]+/g, "_")}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  });
+  on("#tuning-import", () => fileInput.click());
+  listen(state, fileInput, "change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    try {
+      applyTuningValues(state, CONFIG, JSON.parse(await file.text()));
+    } catch (err) {
+      console.warn(`Could not import tuning preset ${file.name}: ${err.message}`);
+    }
+  });
+}
+
+// Pushes CONFIG back into the inputs (after presets, resets, or side effects like PLAYER_MODEL_OFFSET)
+function refreshTuningUI(state, CONFIG) {
+  if (!state.tuningUi) return;
+  const values = getTuningValues(CONFIG);
+  for (const [key, update] of state.tuningUi.rows) update(values[key]);
+}
+
+// Keys typed into the debug panel's text/number boxes shouldn't move the player or trigger hotkeys
+function isTypingTarget(target) {
+  if (target?.tagName === "INPUT") return !["checkbox", "range", "button"].includes(target.type);
+  return target?.tagName === "SELECT" || target?.tagName === "TEXTAREA";
+}
+
+
 // ------------------------------------------------------------
 // Environment
 // ------------------------------------------------------------
-function createSkySphere(state) {
+function createSkySphere(state, level) {
+  const scene = state.scene;
   const geo = new THREE.SphereGeometry(10000, 60, 40);
-  state.textureLoader.load("/static/textures/blue_sky.jpg", (texture) => {
+  const url = level.sky?.texture ?? "/static/textures/blue_sky.jpg";
+  loadTexture(state, url).then((texture) => {
     const mat = new THREE.MeshBasicMaterial({ map: texture, side: THREE.BackSide });
-    state.scene.add(new THREE.Mesh(geo, mat));
-  });
+    const sky = new THREE.Mesh(geo, mat);
+    if (loadIsStale(state, scene, sky)) return;
+    scene.add(sky);
+  }, (err) => console.warn(`could not load sky texture ${url}`, err));
 }
 
-function createPlane(state, CONFIG) {
-  state.textureLoader.load("/static/textures/grass.jpg", (texture) => {
+function createPlane(state, CONFIG, level) {
+  const scene = state.scene;
+  const size = level.ground?.size ?? CONFIG.PLANE_SIZE;
+  const url = level.ground?.texture ?? "/static/textures/grass.jpg";
+  loadTexture(state, url).then((texture) => {
     const plane = new THREE.Mesh(
-      new THREE.PlaneGeometry(CONFIG.PLANE_SIZE, CONFIG.PLANE_SIZE),
+      new THREE.PlaneGeometry(size, size),
       new THREE.MeshStandardMaterial({ map: texture })
     );
     plane.rotation.x = -Math.PI / 2;
-    state.scene.add(plane);
+    if (loadIsStale(state, scene, plane)) return;
+    scene.add(plane);
+  }, (err) => console.warn(`could not load ground texture ${url}`, err));
+}
+
+function createLighting(state, level) {
+  const ambient = level.lighting?.ambient ?? { color: "#ffffff", intensity: 0.6 };
+  const directional = level.lighting?.directional ?? [{ color: "#ffffff", intensity: 1.0, position: [10, 20, 10] }];
+
+  state.scene.add(new THREE.AmbientLight(ambient.color ?? "#ffffff", ambient.intensity ?? 1));
+  for (const l of directional) {
+    const light = new THREE.DirectionalLight(l.color ?? "#ffffff", l.intensity ?? 1);
+    light.position.set(...l.position);
+    state.scene.add(light);
+  }
+}
+
+// Builds a rigid body at position/rotation (THREE types). Ammo copies the transform, inertia and
+// construction info into the body, so those temporaries are freed here; the shape and motion state
+// belong to the body and are freed by destroyRigidBody().
+function createRigidBody(shape, mass, position, rotation = null) {
+  const transform = new Ammo.btTransform();
+  transform.setIdentity();
+  const origin = new Ammo.btVector3(position.x, position.y, position.z);
+  transform.setOrigin(origin);
+  if (rotation) {
+    const q = new Ammo.btQuaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+    transform.setRotation(q);
+    Ammo.destroy(q);
+  }
+
+  const motionState = new Ammo.btDefaultMotionState(transform);
+  const localInertia = new Ammo.btVector3(0, 0, 0);
+  if (mass > 0) shape.calculateLocalInertia(mass, localInertia);
+
+  const rbInfo = new Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
+  const body = new Ammo.btRigidBody(rbInfo);
+
+  Ammo.destroy(rbInfo);
+  Ammo.destroy(localInertia);
+  Ammo.destroy(origin);
+  Ammo.destroy(transform);
+  return body;
+}
+
+function createStaticGroundCollider(state, CONFIG, level) {
+  const size = level.ground?.size ?? CONFIG.PLANE_SIZE;
+  const normal = new Ammo.btVector3(0, 1, 0);
+  const shape = new Ammo.btStaticPlaneShape(normal, 0);
+  Ammo.destroy(normal);
+  const body = createRigidBody(shape, 0, new THREE.Vector3(0, 0, 0));
+  if (level.ground?.material) applyPhysicsMaterial(CONFIG, body, level.ground.material);
+  addBodyToWorld(state, body, "environment");
+
+  // debug mesh (wireframe)
+  const debugMesh = new THREE.Mesh(
+    new THREE.BoxGeometry(size, 2, size),
+    new THREE.MeshBasicMaterial({ wireframe: true })
+  );
+  debugMesh.position.set(0, 1, 0);
+  debugMesh.visible = CONFIG.DEBUG_MODE;
+  state.scene.add(debugMesh);
+
+  const axes = createAxes(state, CONFIG, 20);
+
+  const handle = createObjectHandle("ground", "ground", body, debugMesh, axes);
+  handle.material = level.ground?.material ?? null;
+  registerObject(state, handle);
+  return handle;
+}
+
+// ------------------------------------------------------------
+// Terrain (heightfield ground)
+// ------------------------------------------------------------
+// A grid of heights drawn as a displaced plane and collided with as a btHeightfieldTerrainShape. Both
+// split each cell along the same diagonal, so getGroundHeight() is exactly what the player stands on.
+// terrain (the level's ground.terrain, or built in code):
+//   size: width along X; the depth along Z follows from the grid (cells are square)
+//   heightmap: grayscale image URL (black = position.y, white = position.y + height), or
+//   noise: { seed, scale, octaves, persistence } fractal noise, sampled in world space so terrains
+//          with the same noise placed side by side line up, or
+//   heights: rows of heights above position.y (row 0 at -Z, each row from -X to +X)
+//   resolution: samples per side for noise (default 129); resamples a heightmap to that many
+//   height: world height of a white pixel / the noise's peaks (default 50)
+//   splat: { layers: [{ texture, repeat }] (up to 4), map: image whose R/G/B/A weight layers 0-3 }
+//          without a map the layers blend by height, the first at the bottom
+const TERRAIN_DEFAULT_RESOLUTION = 129;
+const TERRAIN_DEFAULT_HEIGHT = 50;
+const TERRAIN_MAX_SPLAT_LAYERS = 4;
+
+// Ammo's build exports _malloc but not _free, so height buffers are recycled instead of freed. Module-level
+// on purpose: the memory belongs to the page's Ammo instance, so the pool outlives disposeCore() and is
+// shared by every state; it holds as much as the most terrain ever alive at once, until the page unloads.
+// A block is only here while no shape reads it (destroyObjectPhysics returns it after the body is gone).
+const _heightfieldBlocks = [];
+
+function allocHeightfieldData(count) {
+  const i = _heightfieldBlocks.findIndex((block) => block.count >= count);
+  if (i !== -1) return _heightfieldBlocks.splice(i, 1)[0];
+  return { ptr: Ammo._malloc(count * 4), count };
+}
+
+// position: center of the terrain's base (where height 0 is). Resolves to the handle; handle.terrain
+// holds the grid getGroundHeight() reads.
+// options: layer (default "environment"), tags, material (see setPhysicsMaterial)
+export async function spawnTerrain(state, CONFIG, position, terrain, name = "Terrain", options = {}) {
+  if (!(terrain?.size > 0)) throw new Error(`[${name}] A terrain needs a positive size`);
+  const scene = state.scene;
+  const grid = await buildTerrainGrid(state, position, terrain, name);
+  if (loadIsStale(state, scene)) return null;
+
+  const data = allocHeightfieldData(grid.heights.length);
+  Ammo.HEAPF32.set(grid.heights, data.ptr >> 2);
+  const shape = new Ammo.btHeightfieldTerrainShape(
+    grid.columns, grid.rows, data.ptr, 1, grid.minHeight, grid.maxHeight, 1, "PHY_FLOAT", false
+  );
+  const scaling = new Ammo.btVector3(grid.cellSize, 1, grid.cellSize);
+  shape.setLocalScaling(scaling);
+  Ammo.destroy(scaling);
+
+  // Bullet centers the shape on its height range, so the body sits halfway up it
+  const center = new THREE.Vector3(position.x, position.y + (grid.minHeight + grid.maxHeight) / 2, position.z);
+  const body = createRigidBody(shape, 0, center);
+  if (options.material) applyPhysicsMaterial(CONFIG, body, options.material);
+  addBodyToWorld(state, body, options.layer ?? "environment");
+
+  const geometry = createTerrainGeometry(grid);
+  const debugMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0x88ff88, wireframe: true }));
+  debugMesh.position.copy(position);
+  debugMesh.visible = CONFIG.DEBUG_MODE;
+  scene.add(debugMesh);
+
+  const axes = createAxes(state, CONFIG, 10);
+  axes.position.copy(position);
+
+  const handle = createObjectHandle(name, "terrain", body, debugMesh, axes, options.tags);
+  handle.bakedTransform = true;
+  handle.material = options.material ?? null;
+  handle.terrain = grid;
+  handle.heightfieldData = data; // read by the shape for as long as it lives
+  if (!CONFIG.HEADLESS) handle.visual = createTerrainVisual(state, handle, terrain, position);
+  registerObject(state, handle);
+  state.terrains.add(handle);
+  return handle;
+}
+
+// Height of whatever terrain covers (x, z), or CONFIG.GROUND_PLANE_Y where there is none
+export function getGroundHeight(state, CONFIG, x, z) {
+  for (const handle of state.terrains) {
+    const y = terrainHeightAt(handle.terrain, x, z);
+    if (y !== null) return y;
+  }
+  return CONFIG.GROUND_PLANE_Y;
+}
+
+// Heights on the same triangles Bullet uses: cell corners (i, j+1) - (i+1, j) are the diagonal
+function terrainHeightAt(grid, x, z) {
+  const gx = (x - grid.minX) / grid.cellSize;
+  const gz = (z - grid.minZ) / grid.cellSize;
+  if (!(gx >= 0 && gz >= 0 && gx <= grid.columns - 1 && gz <= grid.rows - 1)) return null;
+
+  const i = Math.min(Math.floor(gx), grid.columns - 2);
+  const j = Math.min(Math.floor(gz), grid.rows - 2);
+  const fx = gx - i;
+  const fz = gz - j;
+  const h = grid.heights;
+  const k = j * grid.columns + i;
+  const h00 = h[k], h10 = h[k + 1], h01 = h[k + grid.columns], h11 = h[k + grid.columns + 1];
+  const local = (fx + fz <= 1)
+    ? h00 + (h10 - h00) * fx + (h01 - h00) * fz
+    : h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+  return grid.baseY + local;
+}
+
+// -> { columns, rows, cellSize, minX, minZ, baseY, heights (Float32Array, row by row), minHeight, maxHeight }
+async function buildTerrainGrid(state, position, terrain, name) {
+  const height = terrain.height ?? TERRAIN_DEFAULT_HEIGHT;
+  let columns, rows, sample;
+  if (terrain.heights) {
+    rows = terrain.heights.length;
+    columns = terrain.heights[0]?.length ?? 0;
+    if (terrain.heights.some((row) => row.length !== columns)) throw new Error(`[${name}] Terrain heights rows must all be the same length`);
+    sample = (i, j) => terrain.heights[j][i];
+  } else if (terrain.heightmap) {
+    const image = await loadHeightmap(state, terrain.heightmap);
+    columns = terrain.resolution ?? image.width;
+    rows = terrain.resolution ?? image.height;
+    sample = (i, j) => {
+      const px = Math.round(i * (image.width - 1) / (columns - 1));
+      const py = Math.round(j * (image.height - 1) / (rows - 1));
+      return image.data[(py * image.width + px) * 4] / 255 * height;
+    };
+  } else if (terrain.noise) {
+    columns = rows = terrain.resolution ?? TERRAIN_DEFAULT_RESOLUTION;
+    sample = (i, j) => terrainNoise(terrain.noise, minX + i * cellSize, minZ + j * cellSize) * height;
+  } else {
+    throw new Error(`[${name}] A terrain needs a heightmap, noise or heights`);
+  }
+  if (!(columns >= 2 && rows >= 2)) throw new Error(`[${name}] A terrain needs at least 2 x 2 samples`);
+
+  const cellSize = terrain.size / (columns - 1);
+  const minX = position.x - terrain.size / 2;
+  const minZ = position.z - cellSize * (rows - 1) / 2;
+  const heights = new Float32Array(columns * rows);
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      const h = sample(i, j);
+      heights[j * columns + i] = h;
+      minHeight = Math.min(minHeight, h);
+      maxHeight = Math.max(maxHeight, h);
+    }
+  }
+  return { columns, rows, cellSize, minX, minZ, baseY: position.y, heights, minHeight, maxHeight };
+}
+
+// Grayscale pixels of an image (cached like every other asset). Decoded with createImageBitmap, which
+// pages and Workers have but plain Node doesn't; use noise or heights there.
+function loadHeightmap(state, url) {
+  return loadCachedAsset(state, `heightmap:${url}`, url, async () => {
+    if (typeof createImageBitmap === "undefined") throw new Error(`heightmap ${url} can't be decoded here (no createImageBitmap)`);
+    const response = await fetch(THREE.DefaultLoadingManager.resolveURL(url));
+    if (!response.ok) throw new Error(`heightmap ${url}: HTTP ${response.status}`);
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext("2d");
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
   });
 }
 
-function createLighting(state) {
-  state.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
-  const light = new THREE.DirectionalLight(0xffffff, 1.0);
-  light.position.set(10, 20, 10);
-  state.scene.add(light);
+// Fractal value noise in [0, 1]
+function terrainNoise(noise, x, z) {
+  const seed = noise.seed ?? 0;
+  const octaves = noise.octaves ?? 4;
+  const persistence = noise.persistence ?? 0.5;
+  let frequency = 1 / (noise.scale ?? 200);
+  let amplitude = 1;
+  let sum = 0;
+  let total = 0;
+  for (let o = 0; o < octaves; o++) {
+    sum += valueNoise(seed + o * 1013, x * frequency, z * frequency) * amplitude;
+    total += amplitude;
+    amplitude *= persistence;
+    frequency *= 2;
+  }
+  return sum / total;
+}
+
+function valueNoise(seed, x, z) {
+  const xi = Math.floor(x);
+  const zi = Math.floor(z);
+  const fx = x - xi;
+  const fz = z - zi;
+  const u = fx * fx * (3 - 2 * fx);
+  const v = fz * fz * (3 - 2 * fz);
+  const a = latticeValue(seed, xi, zi);
+  const b = latticeValue(seed, xi + 1, zi);
+  const c = latticeValue(seed, xi, zi + 1);
+  const d = latticeValue(seed, xi + 1, zi + 1);
+  return a + (b - a) * u + (c - a) * v + (a - b - c + d) * u * v;
+}
+
+// Integer hash of a lattice point -> [0, 1]
+function latticeValue(seed, x, z) {
+  let h = Math.imul(x, 374761393) ^ Math.imul(z, 668265263) ^ Math.imul(seed, 1442695041);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967295;
+}
+
+// Plane with a vertex per sample, in the terrain's local space (vertex j * columns + i is sample (i, j))
+function createTerrainGeometry(grid) {
+  const geometry = new THREE.PlaneGeometry(
+    grid.cellSize * (grid.columns - 1), grid.cellSize * (grid.rows - 1), grid.columns - 1, grid.rows - 1
+  );
+  geometry.rotateX(-Math.PI / 2); // row 0 ends up at -Z, like the heights
+  const pos = geometry.attributes.position;
+  for (let k = 0; k < pos.count; k++) pos.setY(k, grid.heights[k]);
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// Lit mesh blending up to four tiled textures by a splat map or by height. It joins the scene once
+// its textures are in; the debug mesh owns the geometry.
+function createTerrainVisual(state, handle, terrain, position) {
+  const grid = handle.terrain;
+  const layers = (terrain.splat?.layers ?? [{ texture: "/static/textures/grass.jpg" }]).slice(0, TERRAIN_MAX_SPLAT_LAYERS);
+  const geometry = handle.debugMesh.geometry;
+  if (!terrain.splat?.map) geometry.setAttribute("splatWeights", createHeightSplatWeights(grid, layers.length));
+
+  const uniforms = {
+    splatTexture0: { value: null },
+    splatTexture1: { value: null },
+    splatTexture2: { value: null },
+    splatTexture3: { value: null },
+    splatRepeat: { value: new THREE.Vector4(...[0, 1, 2, 3].map((l) => layers[l]?.repeat ?? 1)) },
+    splatMap: { value: null },
+  };
+  const material = new THREE.MeshStandardMaterial({ color: 0xffffff });
+  material.userData.uniforms = uniforms; // disposeMaterial() frees the textures in here
+  if (terrain.splat?.map) material.defines = { USE_SPLAT_MAP: "" };
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", "#include <common>\nattribute vec4 splatWeights;\nvarying vec4 vSplatWeights;\nvarying vec2 vSplatUv;")
+      .replace("#include <begin_vertex>", "#include <begin_vertex>\nvSplatWeights = splatWeights;\nvSplatUv = uv;");
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <common>", `#include <common>
+uniform sampler2D splatTexture0;
+uniform sampler2D splatTexture1;
+uniform sampler2D splatTexture2;
+uniform sampler2D splatTexture3;
+uniform vec4 splatRepeat;
+uniform sampler2D splatMap;
+varying vec4 vSplatWeights;
+varying vec2 vSplatUv;`)
+      .replace("#include <map_fragment>", `
+#ifdef USE_SPLAT_MAP
+  vec4 splatWeight = texture2D(splatMap, vSplatUv);
+#else
+  vec4 splatWeight = vSplatWeights;
+#endif
+  splatWeight /= max(dot(splatWeight, vec4(1.0)), 1e-4);
+  diffuseColor *= texture2D(splatTexture0, vSplatUv * splatRepeat.x) * splatWeight.x
+    + texture2D(splatTexture1, vSplatUv * splatRepeat.y) * splatWeight.y
+    + texture2D(splatTexture2, vSplatUv * splatRepeat.z) * splatWeight.z
+    + texture2D(splatTexture3, vSplatUv * splatRepeat.w) * splatWeight.w;`);
+  };
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = `${handle.name}_visual`;
+  mesh.position.copy(position);
+  mesh.userData.sharedGeometry = true;
+
+  const scene = state.scene;
+  const loads = layers.map((layer, l) => loadTexture(state, layer.texture).then((texture) => {
+    // the cached texture is shared, so the tiling goes on a copy
+    const tiled = texture.clone();
+    tiled.wrapS = tiled.wrapT = THREE.RepeatWrapping;
+    tiled.needsUpdate = true;
+    uniforms[`splatTexture${l}`].value = tiled;
+  }));
+  if (terrain.splat?.map) loads.push(loadTexture(state, terrain.splat.map).then((texture) => { uniforms.splatMap.value = texture; }));
+  Promise.all(loads).then(() => {
+    if (handle.removed || loadIsStale(state, scene, mesh)) return;
+    scene.add(mesh);
+  }, (err) => console.warn(`[${handle.name}] could not load the terrain textures`, err));
+  return mesh;
+}
+
+// Per-vertex layer weights from height: layer l peaks at l / (count - 1) of the height range and
+// fades into its neighbours
+function createHeightSplatWeights(grid, count) {
+  const weights = new Float32Array(grid.heights.length * 4);
+  const range = Math.max(grid.maxHeight - grid.minHeight, 1e-6);
+  for (let k = 0; k < grid.heights.length; k++) {
+    const t = (grid.heights[k] - grid.minHeight) / range;
+    for (let l = 0; l < count; l++) {
+      weights[k * 4 + l] = count === 1 ? 1 : Math.max(0, 1 - Math.abs(t * (count - 1) - l));
+    }
+  }
+  return new THREE.BufferAttribute(weights, 4);
+}
+
+// ------------------------------------------------------------
+// Game objects (public spawner API)
+// ------------------------------------------------------------
+// Every spawner returns a Promise that resolves to the same kind of handle once the object is fully
+// built (model loaded, collider ready). Handles live in state.gameObjects:
+//   { name, type, body, visual, instance, debugMesh, axes, visualOffset, visualRotationOffset, bakedTransform }
+// The body is in the world as soon as the spawner returns; `visual` (or `instance`, for instanced
+// models) is filled in when the model arrives.
+function createObjectHandle(name, type, body, debugMesh, axes, tags = []) {
+  return {
+    name,
+    type,
+    body,
+    tags, // matched by trigger volumes (see spawnTrigger)
+    material: null, // physics material name (see setPhysicsMaterial)
+    chunk: null, // "x,z" of the streamed level chunk it was spawned from (see updateChunks)
+    visual: null,
+    instance: null, // { batch, index, scale, root } when the model is drawn instanced
+    debugMesh,
+    axes,
+    visualOffset: null,
+    visualRotationOffset: null,
+    bakedTransform: false, // true = collider/visual are already in world space, never synced from the body
+    removed: false,
+  };
+}
+
+function registerObject(state, handle) {
+  state.gameObjects.push(handle);
+  state.bodyObjects.set(Ammo.getPointer(handle.body), handle);
+  if (state.physicsWorker?.started && !handle.body.isStaticObject()) state.physicsWorker.unmatched.set(handle, 0);
+}
+
+export function findObjectByName(state, name) {
+  return state.gameObjects.find((obj) => obj.name === name) || null;
+}
+
+// Removes an object's body from the world and frees its Ammo + Three resources.
+export function removeObject(state, handle) {
+  const i = state.gameObjects.indexOf(handle);
+  if (i === -1) return false;
+  state.gameObjects.splice(i, 1);
+
+  destroyObjectPhysics(state, handle);
+  if (handle.instance) removeModelInstance(handle);
+  for (const o of [handle.visual, handle.debugMesh, handle.axes]) {
+    if (o) disposeObject3D(o);
+  }
+  handle.removed = true;
+  return true;
+}
+
+function destroyObjectPhysics(state, handle) {
+  removeObjectConstraints(state, handle);
+  if (handle.platform) state.platforms.delete(handle.platform.bodyPtr);
+  state.bodyObjects.delete(Ammo.getPointer(handle.body));
+  state.triggers.delete(Ammo.getPointer(handle.body));
+  state.collisionListeners.delete(handle);
+  destroyRigidBody(state, handle.body);
+  if (handle.triMesh) Ammo.destroy(handle.triMesh);
+  for (const shape of handle.childShapes ?? []) Ammo.destroy(shape);
+  if (handle.heightfieldData) _heightfieldBlocks.push(handle.heightfieldData);
+  state.terrains.delete(handle);
+  handle.body = null;
+  handle.triMesh = null;
+  handle.childShapes = null;
+  handle.heightfieldData = null;
+}
+
+// Optional OBJ/MTL visual that follows the body (box, capsule). Skipped when headless; a model that
+// fails to load only costs the visual, the collider stays.
+async function attachModelVisual(state, CONFIG, handle, position, modelOptions) {
+  if (CONFIG.HEADLESS || !modelOptions?.objPath || !modelOptions?.mtlPath) return handle;
+  if (modelOptions.instanced) return attachModelInstance(state, handle, modelOptions);
+
+  const scene = state.scene;
+  const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
+  const scale = modelOptions.scale || new THREE.Vector3(1, 1, 1);
+  const rotationEuler = modelOptions.rotation || new THREE.Euler(0, 0, 0);
+
+  let object;
+  try {
+    object = await loadObjMtl(state, modelOptions.objPath, modelOptions.mtlPath);
+  } catch (err) {
+    console.warn(`[${handle.name}] could not load ${modelOptions.objPath}; spawned without a visual`, err);
+    return handle;
+  }
+  if (loadIsStale(state, scene, object)) return handle;
+  if (handle.removed) {
+    disposeObject3D(object);
+    return handle;
+  }
+
+  object.name = `${handle.name}_visual`;
+  object.position.copy(position.clone().add(offset));
+  object.scale.copy(scale);
+  object.rotation.copy(rotationEuler);
+  scene.add(object);
+
+  handle.visual = object;
+  handle.visualOffset = offset;
+  handle.visualRotationOffset = new THREE.Quaternion().setFromEuler(rotationEuler);
+  return handle;
+}
+
+// Instanced variant of attachModelVisual: the offset/rotation/scale are applied per instance
+async function attachModelInstance(state, handle, modelOptions) {
+  const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
+  const scale = modelOptions.scale || new THREE.Vector3(1, 1, 1);
+  const rotationEuler = modelOptions.rotation || new THREE.Euler(0, 0, 0);
+
+  let batch;
+  try {
+    batch = await getInstanceBatch(state, modelOptions.objPath, modelOptions.mtlPath);
+  } catch (err) {
+    console.warn(`[${handle.name}] could not load ${modelOptions.objPath}; spawned without a visual`, err);
+    return handle;
+  }
+  if (!batch || handle.removed) return handle;
+
+  handle.visualOffset = offset;
+  handle.visualRotationOffset = new THREE.Quaternion().setFromEuler(rotationEuler);
+  addModelInstance(batch, handle, scale);
+  readBodyTransform(state, handle.body, _syncPos, _syncQuat);
+  writeModelInstance(handle, _syncPos, _syncQuat);
+  return handle;
+}
+
+// Options shared by spawnBox/spawnCapsule/spawnSphere/spawnCylinder/spawnCone/spawnCompound/spawnConvexHull:
+//   rotation: THREE.Euler or THREE.Quaternion for the body's starting orientation
+//   layer: collision layer (one of COLLISION_LAYERS, default "environment")
+//   tags: strings trigger volumes can react to (handle.tags)
+//   material: physics material name (see setPhysicsMaterial), instead of the default friction/restitution
+function spawnRotation(options) {
+  const r = options.rotation;
+  if (!r) return null;
+  return r.isQuaternion ? r : new THREE.Quaternion().setFromEuler(r);
+}
+
+// Box: position is the center of the box's bottom face
+export function spawnBox(state, CONFIG, position, size, mass = 0.001, modelOptions = null, name = "Box", options = {}) {
+  const halfExtents = new Ammo.btVector3(size.x / 2, size.y / 2, size.z / 2);
+  const shape = new Ammo.btBoxShape(halfExtents);
+  Ammo.destroy(halfExtents);
+  const center = new THREE.Vector3(position.x, position.y + size.y / 2, position.z);
+  const body = createRigidBody(shape, mass, center, spawnRotation(options));
+
+  body.setRestitution(0.1);
+  body.setFriction(1.0);
+  body.setRollingFriction(0.3);
+  if (options.material) applyPhysicsMaterial(CONFIG, body, options.material);
+  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+
+  addBodyToWorld(state, body, options.layer ?? "environment");
+  body.activate();
+
+  const debugMesh = new THREE.Mesh(
+    new THREE.BoxGeometry(size.x, size.y, size.z),
+    new THREE.MeshBasicMaterial({ color: 0xffff00, wireframe: true })
+  );
+  debugMesh.position.copy(position);
+  debugMesh.visible = CONFIG.DEBUG_MODE;
+  state.scene.add(debugMesh);
+
+  const axes = createAxes(state, CONFIG, 10);
+
+  const handle = createObjectHandle(name, "box", body, debugMesh, axes, options.tags);
+  handle.material = options.material ?? null;
+  registerObject(state, handle);
+  return attachModelVisual(state, CONFIG, handle, position, modelOptions);
+}
+
+// Capsule (used for surrounding rock wall): position is the capsule's center
+export function spawnCapsule(state, CONFIG, position, radius, height, mass = 0, modelOptions = null, name = "Capsule", options = {}) {
+  const shape = new Ammo.btCapsuleShape(radius, height - 2 * radius);
+  const body = createRigidBody(shape, mass, position, spawnRotation(options));
+
+  body.setFriction(1.0);
+  body.setRestitution(0.1);
+  if (options.material) applyPhysicsMaterial(CONFIG, body, options.material);
+  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+
+  addBodyToWorld(state, body, options.layer ?? "environment");
+  body.activate();
+
+  // debug collider mesh
+  const debugMesh = new THREE.Mesh(
+    new THREE.CapsuleGeometry(radius, height - 2 * radius, 8, 16),
+    new THREE.MeshBasicMaterial({ wireframe: true })
+  );
+  debugMesh.position.copy(position);
+  debugMesh.visible = CONFIG.DEBUG_MODE;
+  state.scene.add(debugMesh);
+
+  const axes = createAxes(state, CONFIG, 10);
+  axes.position.copy(position);
+
+  const handle = createObjectHandle(name, "capsule", body, debugMesh, axes, options.tags);
+  handle.material = options.material ?? null;
+  registerObject(state, handle);
+  return attachModelVisual(state, CONFIG, handle, position, modelOptions);
+}
+
+// Primitive kinds a spawner (or a compound part) can be built from
+const PRIMITIVE_SHAPES = ["box", "sphere", "capsule", "cylinder", "cone"];
+
+// Collision shape + matching debug geometry, both centered on the origin with Y as the long axis.
+// part: { shape, size (box, THREE.Vector3) | radius (+ height: total length for capsule/cylinder/cone) }
+function createPrimitiveShape(part) {
+  switch (part.shape) {
+    case "box": {
+      const halfExtents = new Ammo.btVector3(part.size.x / 2, part.size.y / 2, part.size.z / 2);
+      const shape = new Ammo.btBoxShape(halfExtents);
+      Ammo.destroy(halfExtents);
+      return { shape, geometry: new THREE.BoxGeometry(part.size.x, part.size.y, part.size.z) };
+    }
+    case "sphere":
+      return { shape: new Ammo.btSphereShape(part.radius), geometry: new THREE.SphereGeometry(part.radius, 16, 12) };
+    case "capsule":
+      return {
+        shape: new Ammo.btCapsuleShape(part.radius, part.height - 2 * part.radius),
+        geometry: new THREE.CapsuleGeometry(part.radius, part.height - 2 * part.radius, 8, 16),
+      };
+    case "cylinder": {
+      const halfExtents = new Ammo.btVector3(part.radius, part.height / 2, part.radius);
+      const shape = new Ammo.btCylinderShape(halfExtents);
+      Ammo.destroy(halfExtents);
+      return { shape, geometry: new THREE.CylinderGeometry(part.radius, part.radius, part.height, 16) };
+    }
+    case "cone": // tip up, centered halfway up like Bullet's cone
+      return { shape: new Ammo.btConeShape(part.radius, part.height), geometry: new THREE.ConeGeometry(part.radius, part.height, 16) };
+    default:
+      throw new Error(`Unknown shape "${part.shape}" (expected one of: ${PRIMITIVE_SHAPES.join(", ")})`);
+  }
+}
+
+function createDebugWireframe(geometry) {
+  return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0x44ddff, wireframe: true }));
+}
+
+// Body (centered on position) + debug mesh + axes + handle, shared by the spawners below
+function spawnShapeBody(state, CONFIG, type, shape, debugMesh, position, mass, name, options) {
+  const body = createRigidBody(shape, mass, position, spawnRotation(options));
+
+  body.setFriction(1.0);
+  body.setRestitution(0.1);
+  body.setRollingFriction(0.3); // round shapes would roll forever otherwise
+  if (options.material) applyPhysicsMaterial(CONFIG, body, options.material);
+  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+
+  addBodyToWorld(state, body, options.layer ?? "environment");
+  body.activate();
+
+  debugMesh.position.copy(position);
+  debugMesh.visible = CONFIG.DEBUG_MODE;
+  state.scene.add(debugMesh);
+
+  const axes = createAxes(state, CONFIG, 10);
+  axes.position.copy(position);
+
+  const handle = createObjectHandle(name, type, body, debugMesh, axes, options.tags);
+  handle.material = options.material ?? null;
+  registerObject(state, handle);
+  return handle;
+}
+
+// Sphere: position is the center
+export function spawnSphere(state, CONFIG, position, radius, mass = 0, modelOptions = null, name = "Sphere", options = {}) {
+  const { shape, geometry } = createPrimitiveShape({ shape: "sphere", radius });
+  const handle = spawnShapeBody(state, CONFIG, "sphere", shape, createDebugWireframe(geometry), position, mass, name, options);
+  return attachModelVisual(state, CONFIG, handle, position, modelOptions);
+}
+
+// Cylinder along Y: position is the center, height the full length
+export function spawnCylinder(state, CONFIG, position, radius, height, mass = 0, modelOptions = null, name = "Cylinder", options = {}) {
+  const { shape, geometry } = createPrimitiveShape({ shape: "cylinder", radius, height });
+  const handle = spawnShapeBody(state, CONFIG, "cylinder", shape, createDebugWireframe(geometry), position, mass, name, options);
+  return attachModelVisual(state, CONFIG, handle, position, modelOptions);
+}
+
+// Cone pointing up +Y: position is halfway between base and tip
+export function spawnCone(state, CONFIG, position, radius, height, mass = 0, modelOptions = null, name = "Cone", options = {}) {
+  const { shape, geometry } = createPrimitiveShape({ shape: "cone", radius, height });
+  const handle = spawnShapeBody(state, CONFIG, "cone", shape, createDebugWireframe(geometry), position, mass, name, options);
+  return attachModelVisual(state, CONFIG, handle, position, modelOptions);
+}
+
+// Compound: several primitives moving as one body. position is the body's origin (and center of mass);
+// each part is a createPrimitiveShape() part plus an optional position/rotation relative to it, e.g. a table:
+//   [{ shape: "box", size: new THREE.Vector3(8, 1, 8) },
+//    { shape: "cylinder", radius: 0.5, height: 6, position: new THREE.Vector3(0, -3.5, 0) }]
+export function spawnCompound(state, CONFIG, position, parts, mass = 0, modelOptions = null, name = "Compound", options = {}) {
+  if (!Array.isArray(parts) || !parts.length) throw new Error(`[${name}] A compound needs at least one part`);
+  for (const part of parts) {
+    if (!PRIMITIVE_SHAPES.includes(part.shape)) throw new Error(`[${name}] Unknown part shape "${part.shape}"`);
+  }
+
+  const compound = new Ammo.btCompoundShape();
+  const childShapes = [];
+  const debugGroup = new THREE.Group();
+  const transform = new Ammo.btTransform();
+  const origin = new Ammo.btVector3(0, 0, 0);
+  const rotation = new Ammo.btQuaternion(0, 0, 0, 1);
+
+  for (const part of parts) {
+    const { shape, geometry } = createPrimitiveShape(part);
+    const p = part.position || new THREE.Vector3(0, 0, 0);
+    const q = spawnRotation(part) || new THREE.Quaternion();
+    origin.setValue(p.x, p.y, p.z);
+    rotation.setValue(q.x, q.y, q.z, q.w);
+    transform.setIdentity();
+    transform.setOrigin(origin);
+    transform.setRotation(rotation);
+    compound.addChildShape(transform, shape);
+    childShapes.push(shape);
+
+    const mesh = createDebugWireframe(geometry);
+    mesh.position.copy(p);
+    mesh.quaternion.copy(q);
+    debugGroup.add(mesh);
+  }
+  Ammo.destroy(rotation);
+  Ammo.destroy(origin);
+  Ammo.destroy(transform);
+
+  const handle = spawnShapeBody(state, CONFIG, "compound", compound, debugGroup, position, mass, name, options);
+  // the compound only references its children, so they live (and die) alongside the body
+  handle.childShapes = childShapes;
+  return attachModelVisual(state, CONFIG, handle, position, modelOptions);
+}
+
+// ------------------------------------------------------------
+// Instanced models (modelOptions.instanced)
+// ------------------------------------------------------------
+// Every object whose modelOptions set `instanced: true` and share an objPath/mtlPath is drawn by one
+// batch: a THREE.InstancedMesh per sub-mesh of the model, so 500 rocks cost the draw calls of one.
+// handle.instance = { batch, index, scale, root } stands in for handle.visual; syncVisualsFromPhysics()
+// rewrites the matrices of instances whose body can move, static ones are written once.
+const INSTANCE_BATCH_MIN_CAPACITY = 16;
+const _instancePos = new THREE.Vector3();
+const _instanceQuat = new THREE.Quaternion();
+const _instanceMatrix = new THREE.Matrix4();
+
+// Resolves to the batch for a model (null if disposeCore() ran while it loaded)
+function getInstanceBatch(state, objPath, mtlPath) {
+  const key = `${objPath}|${mtlPath}`;
+  const existing = state.instanceBatches.get(key);
+  if (existing) return existing.ready;
+
+  const scene = state.scene;
+  const batch = { key, parts: [], handles: [], capacity: INSTANCE_BATCH_MIN_CAPACITY, dirty: false, ready: null };
+  batch.ready = loadObjMtl(state, objPath, mtlPath).then((model) => {
+    if (loadIsStale(state, scene)) return null;
+    // sub-mesh transforms relative to the model root
+    model.updateMatrixWorld(true);
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      const mesh = new THREE.InstancedMesh(child.geometry, child.material, batch.capacity);
+      mesh.name = `${child.name || "mesh"}_instanced`;
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.count = 0;
+      scene.add(mesh);
+      batch.parts.push({ mesh, local: child.matrixWorld.clone() });
+    });
+    return batch;
+  }, (err) => {
+    // forget it so a later spawn can retry
+    if (state.instanceBatches.get(key) === batch) state.instanceBatches.delete(key);
+    throw err;
+  });
+
+  state.instanceBatches.set(key, batch);
+  return batch.ready;
+}
+
+function addModelInstance(batch, handle, scale) {
+  if (batch.handles.length === batch.capacity) growInstanceBatch(batch);
+  handle.instance = { batch, index: batch.handles.length, scale: scale.clone(), root: new THREE.Matrix4() };
+  batch.handles.push(handle);
+  for (const part of batch.parts) part.mesh.count = batch.handles.length;
+}
+
+// InstancedMesh capacity is fixed, so a full batch is rebuilt at twice the size
+function growInstanceBatch(batch) {
+  batch.capacity *= 2;
+  for (const part of batch.parts) {
+    const old = part.mesh;
+    const mesh = new THREE.InstancedMesh(old.geometry, old.material, batch.capacity);
+    mesh.name = old.name;
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    mesh.count = old.count;
+    old.parent?.add(mesh);
+    old.removeFromParent();
+    old.dispose();
+    part.mesh = mesh;
+  }
+  batch.dirty = true;
+}
+
+// The last instance moves into the freed slot
+function removeModelInstance(handle) {
+  const { batch, index } = handle.instance;
+  const last = batch.handles.length - 1;
+  const moved = batch.handles[last];
+  batch.handles[index] = moved;
+  moved.instance.index = index;
+  batch.handles.pop();
+
+  for (const part of batch.parts) {
+    if (index !== last) {
+      part.mesh.getMatrixAt(last, _instanceMatrix);
+      part.mesh.setMatrixAt(index, _instanceMatrix);
+    }
+    part.mesh.count = batch.handles.length;
+  }
+  batch.dirty = true;
+  handle.instance = null;
+}
+
+// Body pose -> instance, with the same offset/rotation a regular visual gets in syncVisualsFromPhysics()
+function writeModelInstance(handle, position, quaternion) {
+  _instancePos.copy(position);
+  if (handle.visualOffset) _instancePos.add(_syncOffset.copy(handle.visualOffset).applyQuaternion(quaternion));
+  _instanceQuat.copy(quaternion);
+  if (handle.visualRotationOffset) _instanceQuat.multiply(handle.visualRotationOffset);
+  setModelInstanceRoot(handle, _instanceMatrix.compose(_instancePos, _instanceQuat, handle.instance.scale));
+}
+
+function setModelInstanceRoot(handle, root) {
+  const { batch, index } = handle.instance;
+  // root may be _instanceMatrix itself, so compose from the copy
+  const copy = handle.instance.root.copy(root);
+  for (const part of batch.parts) {
+    part.mesh.setMatrixAt(index, _instanceMatrix.multiplyMatrices(copy, part.local));
+  }
+  batch.dirty = true;
+}
+
+// Uploads changed matrices and refits the bounds used for frustum culling
+function flushInstanceBatches(state) {
+  for (const batch of state.instanceBatches.values()) {
+    if (!batch.dirty) continue;
+    for (const part of batch.parts) {
+      part.mesh.instanceMatrix.needsUpdate = true;
+      part.mesh.computeBoundingSphere();
+    }
+    batch.dirty = false;
+  }
+}
+
+// ------------------------------------------------------------
+// Static trimesh collider from OBJ/MTL (concave-safe static)
+// ------------------------------------------------------------
+// The collider is built from the OBJ triangles, so this loads even when headless. The promise
+// rejects if the model can't be loaded (e.g. plain Node without a reachable asset URL).
+// options: layer (collision layer, default "environment"), tags (see spawnTrigger), material (see setPhysicsMaterial)
+export async function spawnStaticTrimesh(state, CONFIG, position, modelOptions, name = "StaticTrimesh", options = {}) {
+  const objPath = modelOptions?.objPath;
+  const mtlPath = modelOptions?.mtlPath;
+  if (!objPath || !mtlPath) throw new Error(`[${name}] Missing objPath/mtlPath`);
+
+  const scale = modelOptions.scale || new THREE.Vector3(1, 1, 1);
+  const rotation = modelOptions.rotation || new THREE.Euler(0, 0, 0);
+  const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
+
+  // Visual position matches your original: position + offset :contentReference[oaicite:3]{index=3}
+  const visualPos = position.clone().add(offset);
+
+  const scene = state.scene;
+  let object;
+  try {
+    object = await loadObjMtl(state, objPath, mtlPath);
+  } catch (err) {
+    throw new Error(`[${name}] could not load ${objPath} / ${mtlPath}: ${err?.message || err}`);
+  }
+  if (loadIsStale(state, scene, object)) return null;
+
+  object.name = `${name}_visual`;
+  object.position.copy(visualPos);
+  object.scale.copy(scale);
+  object.rotation.copy(rotation);
+  object.updateMatrixWorld(true);
+  // instanced: the clone is only needed for its triangles; the batch draws it
+  const batch = modelOptions.instanced && !CONFIG.HEADLESS ? await getInstanceBatch(state, objPath, mtlPath) : null;
+  if (loadIsStale(state, scene, object)) return null;
+  if (!batch) scene.add(object);
+
+  // Build Ammo triangle mesh from the loaded THREE object (world-space triangles)
+  const triMesh = new Ammo.btTriangleMesh(true, true);
+
+  const addGeomToTriMesh = (geom) => {
+    const pos = geom.attributes.position;
+    if (!pos) return;
+
+    const idx = geom.index ? geom.index.array : null;
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+
+    const readVertex = (i, out) => out.set(pos.getX(i), pos.getY(i), pos.getZ(i));
+
+    if (idx) {
+      for (let i = 0; i < idx.length; i += 3) {
+        readVertex(idx[i], a);
+        readVertex(idx[i + 1], b);
+        readVertex(idx[i + 2], c);
+
+        const va = new Ammo.btVector3(a.x, a.y, a.z);
+        const vb = new Ammo.btVector3(b.x, b.y, b.z);
+        const vc = new Ammo.btVector3(c.x, c.y, c.z);
+        triMesh.addTriangle(va, vb, vc, true);
+        Ammo.destroy(va); Ammo.destroy(vb); Ammo.destroy(vc);
+      }
+    } else {
+      for (let i = 0; i < pos.count; i += 3) {
+        a.set(pos.getX(i), pos.getY(i), pos.getZ(i));
+        b.set(pos.getX(i + 1), pos.getY(i + 1), pos.getZ(i + 1));
+        c.set(pos.getX(i + 2), pos.getY(i + 2), pos.getZ(i + 2));
+
+        const va = new Ammo.btVector3(a.x, a.y, a.z);
+        const vb = new Ammo.btVector3(b.x, b.y, b.z);
+        const vc = new Ammo.btVector3(c.x, c.y, c.z);
+        triMesh.addTriangle(va, vb, vc, true);
+        Ammo.destroy(va); Ammo.destroy(vb); Ammo.destroy(vc);
+      }
+    }
+  };
+
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+
+    // Clone geometry and bake child's WORLD transform into vertices
+    const geom = child.geometry.clone();
+    geom.applyMatrix4(child.matrixWorld);
+    addGeomToTriMesh(geom);
+    geom.dispose();
+  });
+
+  const useQuantizedAabbCompression = true;
+  const buildBvh = true;
+  const shape = new Ammo.btBvhTriangleMeshShape(triMesh, useQuantizedAabbCompression, buildBvh);
+  shape.setMargin(0.02);
+
+  // Static body at identity (triangles already in world space)
+  const body = createRigidBody(shape, 0, new THREE.Vector3(0, 0, 0));
+  if (options.material) applyPhysicsMaterial(CONFIG, body, options.material);
+  addBodyToWorld(state, body, options.layer ?? "environment");
+
+  // Debug wireframe group (debug-only)
+  const wfGroup = new THREE.Group();
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+    const wf = new THREE.WireframeGeometry(child.geometry);
+    const wfMat = new THREE.LineBasicMaterial({ color: 0xffffff });
+    const wfLines = new THREE.LineSegments(wf, wfMat);
+    wfLines.applyMatrix4(child.matrixWorld);
+    wfGroup.add(wfLines);
+  });
+  wfGroup.visible = CONFIG.DEBUG_MODE;
+  state.scene.add(wfGroup);
+
+  const axes = createAxes(state, CONFIG, 10);
+  axes.position.copy(position);
+
+  const handle = createObjectHandle(name, "trimesh", body, wfGroup, axes, options.tags);
+  handle.bakedTransform = true;
+  handle.material = options.material ?? null;
+  if (batch) {
+    addModelInstance(batch, handle, scale);
+    writeModelInstance(handle, visualPos, object.quaternion);
+    disposeObject3D(object);
+  } else {
+    handle.visual = object;
+  }
+  // the shape only references triMesh, so it has to live (and die) alongside the body
+  handle.triMesh = triMesh;
+  registerObject(state, handle);
+
+  console.log(`[${name}] trimesh collider created`);
+  return handle;
+}
+
+
+// ------------------------------------------------------------
+// Convex hull collider from OBJ/MTL (model as a dynamic body)
+// ------------------------------------------------------------
+// Wraps the model's vertices in a convex hull (dents and holes get filled in), so unlike the trimesh it
+// can have mass. position/options.rotation place the model's origin, the same way as a box or capsule;
+// modelOptions.scale/rotation/offset shape the hull exactly like the visual. The body itself sits at the
+// middle of the hull so a model whose origin is at its feet still tumbles around its center;
+// handle.bodyOffset is that middle relative to the model's origin (body axes).
+// Like the trimesh, the model loads even when headless and the promise rejects if it can't be loaded.
+const CONVEX_HULL_MAX_POINTS = 64; // bigger point clouds are reduced with btShapeHull
+
+export async function spawnConvexHull(state, CONFIG, position, mass = 0, modelOptions = null, name = "ConvexHull", options = {}) {
+  const objPath = modelOptions?.objPath;
+  const mtlPath = modelOptions?.mtlPath;
+  if (!objPath || !mtlPath) throw new Error(`[${name}] Missing objPath/mtlPath`);
+
+  const scene = state.scene;
+  let object;
+  try {
+    object = await loadObjMtl(state, objPath, mtlPath);
+  } catch (err) {
+    throw new Error(`[${name}] could not load ${objPath} / ${mtlPath}: ${err?.message || err}`);
+  }
+  if (loadIsStale(state, scene, object)) return null;
+
+  // model space -> body space (before centering), the transform the visual gets
+  const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
+  object.position.copy(offset);
+  object.rotation.copy(modelOptions.rotation || new THREE.Euler(0, 0, 0));
+  object.scale.copy(modelOptions.scale || new THREE.Vector3(1, 1, 1));
+  object.updateMatrixWorld(true);
+  let points = collectModelVertices(object);
+  disposeObject3D(object);
+  if (points.length < 4) throw new Error(`[${name}] ${objPath} has too few vertices for a convex hull`);
+
+  const center = new THREE.Box3().setFromPoints(points).getCenter(new THREE.Vector3());
+  for (const p of points) p.sub(center);
+  if (points.length > CONVEX_HULL_MAX_POINTS) points = reduceHullPoints(points);
+  const shape = createConvexHullShape(points);
+
+  const rotation = spawnRotation(options);
+  const bodyPosition = center.clone().applyQuaternion(rotation || new THREE.Quaternion()).add(position);
+  const debugMesh = createDebugWireframe(new ConvexGeometry(points));
+  const handle = spawnShapeBody(state, CONFIG, "hull", shape, debugMesh, bodyPosition, mass, name, options);
+  handle.bodyOffset = center;
+
+  // the visual hangs off the centered body, so its offset moves by the same amount
+  return attachModelVisual(state, CONFIG, handle, bodyPosition, { ...modelOptions, offset: offset.clone().sub(center) });
+}
+
+// Distinct vertices of every mesh under root, with root's own transform applied
+function collectModelVertices(root) {
+  const seen = new Set();
+  const points = [];
+  const v = new THREE.Vector3();
+  root.traverse((child) => {
+    const pos = child.isMesh ? child.geometry?.attributes.position : null;
+    if (!pos) return;
+    for (let i = 0; i < pos.count; i++) {
+      v.fromBufferAttribute(pos, i).applyMatrix4(child.matrixWorld);
+      const key = `${v.x.toFixed(4)},${v.y.toFixed(4)},${v.z.toFixed(4)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      points.push(v.clone());
+    }
+  });
+  return points;
+}
+
+function createConvexHullShape(points) {
+  const shape = new Ammo.btConvexHullShape();
+  const v = new Ammo.btVector3(0, 0, 0);
+  points.forEach((p, i) => {
+    v.setValue(p.x, p.y, p.z);
+    shape.addPoint(v, i === points.length - 1); // refit the AABB once, after the last point
+  });
+  Ammo.destroy(v);
+  return shape;
+}
+
+// Collision cost grows with the vertex count; btShapeHull keeps a few dozen well-spread ones
+function reduceHullPoints(points) {
+  const full = createConvexHullShape(points);
+  const hull = new Ammo.btShapeHull(full);
+  hull.buildHull(full.getMargin());
+
+  // the vertices are a btVector3 array (4 floats each) owned by the hull
+  const heap = Ammo.HEAPF32;
+  const base = Ammo.getPointer(hull.getVertexPointer()) >> 2;
+  const reduced = [];
+  for (let i = 0; i < hull.numVertices(); i++) {
+    reduced.push(new THREE.Vector3(heap[base + i * 4], heap[base + i * 4 + 1], heap[base + i * 4 + 2]));
+  }
+  Ammo.destroy(hull);
+  Ammo.destroy(full);
+  return reduced;
+}
+
+// ------------------------------------------------------------
+// Moving platforms (kinematic bodies)
+// ------------------------------------------------------------
+// setPlatformMotion() turns a static object into a kinematic body that the core moves every physics tick,
+// just before stepSimulation. Bullet derives the body's velocity from the pose change, so boxes resting on
+// it are carried by friction; the player controller adds it explicitly (see playerPlatformVelocity).
+// motion, relative to the body's pose when it first became a platform:
+//   path:   [THREE.Vector3, ...] waypoints as offsets from the start (the start itself is the first one)
+//   speed:  units per second along the path (default 5)
+//   mode:   "pingpong" (default: there and back) | "loop" (back to the start in a straight line) | "once"
+//   wait:   seconds to pause at every waypoint (default 0)
+//   spin:   degrees per second around spinAxis (THREE.Vector3 in world space, default up)
+//   script: (time, position, quaternion) => void, instead of path/spin: gets the start pose and changes
+//           it in place to the pose `time` seconds in
+const PLATFORM_MODES = ["pingpong", "loop", "once"];
+const CF_STATIC_OBJECT = 1;
+const CF_KINEMATIC_OBJECT = 2;
+const CF_NO_CONTACT_RESPONSE = 4;
+const PLATFORM_STICK_DISTANCE = 1; // how far below the feet a platform still carries the player
+
+const _platformPos = new THREE.Vector3();
+const _platformQuat = new THREE.Quaternion();
+const _platformOffset = new THREE.Vector3();
+const _platformSpin = new THREE.Quaternion();
+
+// Calling it again swaps the motion and starts it over; motion = null parks the platform where it is.
+export function setPlatformMotion(state, handle, motion) {
+  const body = handle?.body;
+  if (!body || handle.bakedTransform) throw new Error(`[${handle?.name}] only spawned bodies can move (a trimesh's triangles are baked in place)`);
+  if (!body.isStaticOrKinematicObject()) throw new Error(`[${handle.name}] a platform needs mass 0 (it is moved, not pushed)`);
+  if (motion?.mode !== undefined && !PLATFORM_MODES.includes(motion.mode)) {
+    throw new Error(`[${handle.name}] platform mode must be one of: ${PLATFORM_MODES.join(", ")}`);
+  }
+
+  if (!handle.platform) {
+    body.setCollisionFlags((body.getCollisionFlags() & ~CF_STATIC_OBJECT) | CF_KINEMATIC_OBJECT);
+    body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+    const startPosition = new THREE.Vector3();
+    const startQuaternion = new THREE.Quaternion();
+    readBodyTransform(state, body, startPosition, startQuaternion);
+    handle.platform = {
+      motion: null,
+      time: 0,
+      startPosition,
+      startQuaternion,
+      legs: [],
+      cycle: 0,
+      spinAxis: new THREE.Vector3(0, 1, 0),
+      bodyPtr: Ammo.getPointer(body),
+    };
+    state.platforms.set(handle.platform.bodyPtr, handle);
+  }
+
+  const platform = handle.platform;
+  platform.motion = motion ?? null;
+  if (motion) {
+    buildPlatformPath(platform);
+    platform.spinAxis.copy(motion.spinAxis ?? new THREE.Vector3(0, 1, 0)).normalize();
+    placePlatform(state, handle, 0);
+  }
+  return handle;
+}
+
+// Splits the path into straight legs; `cycle` is how long one pass (with waits) takes
+function buildPlatformPath(platform) {
+  const { path = [], mode = "pingpong", speed = 5, wait = 0 } = platform.motion;
+  const points = [new THREE.Vector3(0, 0, 0), ...path];
+  if (mode === "pingpong") {
+    for (let i = points.length - 2; i >= 0; i--) points.push(points[i]);
+  } else if (mode === "loop" && points.length > 1) {
+    points.push(points[0]);
+  }
+
+  platform.legs = [];
+  platform.cycle = 0;
+  for (let i = 0; i + 1 < points.length; i++) {
+    const duration = points[i].distanceTo(points[i + 1]) / speed;
+    platform.legs.push({ from: points[i], to: points[i + 1], duration });
+    platform.cycle += duration + wait;
+  }
+}
+
+function getPlatformPose(platform, outPos, outQuat) {
+  const motion = platform.motion;
+  outPos.copy(platform.startPosition);
+  outQuat.copy(platform.startQuaternion);
+  if (motion.script) {
+    motion.script(platform.time, outPos, outQuat);
+    return;
+  }
+
+  if (platform.cycle > 0) outPos.add(getPathOffset(platform, _platformOffset));
+  if (motion.spin) {
+    const angle = THREE.MathUtils.degToRad(motion.spin * platform.time);
+    outQuat.premultiply(_platformSpin.setFromAxisAngle(platform.spinAxis, angle));
+  }
+}
+
+function getPathOffset(platform, out) {
+  const wait = platform.motion.wait ?? 0;
+  let t = (platform.motion.mode === "once") ? Math.min(platform.time, platform.cycle) : platform.time % platform.cycle;
+  for (const leg of platform.legs) {
+    if (t < leg.duration) return out.lerpVectors(leg.from, leg.to, t / leg.duration);
+    t -= leg.duration;
+    if (t < wait) return out.copy(leg.to);
+    t -= wait;
+  }
+  return out.copy(platform.legs[platform.legs.length - 1].to);
+}
+
+// Runs before every stepSimulation: Bullet reads the new pose from the motion state
+function updatePlatforms(state, dt) {
+  for (const handle of state.platforms.values()) {
+    const platform = handle.platform;
+    if (!platform.motion) continue;
+    platform.time += dt;
+    getPlatformPose(platform, _platformPos, _platformQuat);
+    writePlatformTransform(state, _platformPos, _platformQuat);
+    handle.body.getMotionState().setWorldTransform(state.tmpTransform);
+  }
+}
+
+// Jumps a platform to `time` along its motion, with no velocity (start, editor, restarts)
+function placePlatform(state, handle, time) {
+  const platform = handle.platform;
+  if (!platform.motion) return;
+  platform.time = time;
+  getPlatformPose(platform, _platformPos, _platformQuat);
+  writePlatformTransform(state, _platformPos, _platformQuat);
+  // both, so Bullet's interpolation transform (which kinematic velocities come from) is here too
+  handle.body.setWorldTransform(state.tmpTransform);
+  handle.body.setCenterOfMassTransform(state.tmpTransform);
+  handle.body.getMotionState().setWorldTransform(state.tmpTransform);
+  state.tmpVecA.setValue(0, 0, 0);
+  handle.body.setLinearVelocity(state.tmpVecA);
+  handle.body.setAngularVelocity(state.tmpVecA);
+  if (handle.prevPosition) {
+    handle.prevPosition.copy(_platformPos);
+    handle.prevQuaternion.copy(_platformQuat);
+  }
+}
+
+// pose -> state.tmpTransform
+function writePlatformTransform(state, pos, quat) {
+  const t = state.tmpTransform;
+  t.setIdentity();
+  state.tmpVecA.setValue(pos.x, pos.y, pos.z);
+  state.tmpQuat.setValue(quat.x, quat.y, quat.z, quat.w);
+  t.setOrigin(state.tmpVecA);
+  t.setRotation(state.tmpQuat);
+}
+
+// Velocity of the player's platform at the player's feet (its spin included); zero when not on one
+function playerPlatformVelocity(state, CONFIG, out) {
+  out.set(0, 0, 0);
+  const body = state.playerPlatform?.body;
+  if (!body) return out;
+
+  const lv = body.getLinearVelocity();
+  const av = body.getAngularVelocity();
+  const c = body.getWorldTransform().getOrigin();
+  const p = state.Player.getWorldTransform().getOrigin();
+  const rx = p.x() - c.x();
+  const ry = p.y() - CONFIG.PLAYER_HEIGHT / 2 - c.y();
+  const rz = p.z() - c.z();
+  // v + w x r
+  return out.set(
+    lv.x() + av.y() * rz - av.z() * ry,
+    lv.y() + av.z() * rx - av.x() * rz,
+    lv.z() + av.x() * ry - av.y() * rx
+  );
+}
+
+// ------------------------------------------------------------
+// Constraints (hinges, sliders, points, springs, ropes)
+// ------------------------------------------------------------
+// Joints between two objects, or between an object and the world (handleB = null). The pivot and axis
+// are given in world space when the constraint is made and kept in each body's local space, so the joint
+// holds wherever the bodies go afterwards. Types:
+//   hinge:  turns around `axis` through `pivot` (doors, swinging signs, wheels)
+//   slider: moves along `axis` without turning (drawers, pistons)
+//   point:  ball joint at `pivot` (chains and ropes, see spawnRope)
+//   spring: pulls the bodies back to how they were when it was made, along and (optionally) around X/Y/Z
+// options (all optional):
+//   pivot:  THREE.Vector3 (default: the center of handleA's body); axis: THREE.Vector3 (default up for hinges, +X for sliders)
+//   limits: hinge { lower, upper } in degrees, slider { lower, upper } distance along the axis,
+//           spring { linearLower, linearUpper, angularLower, angularUpper } THREE.Vectors (units, degrees)
+//   motor:  hinge { speed (deg/s), maxImpulse }, slider { speed (units/s), maxForce }; see setConstraintMotor
+//   stiffness, damping: spring strength along X/Y/Z (default 50) and how soon it settles (default 0.05;
+//            1 = Bullet's default, which keeps bouncing; smaller settles faster)
+//   angularStiffness, angularDamping: the same around X/Y/Z (default stiffness 0 = rotation locked)
+//   breakImpulse: breaks (and removes) the joint when the solver needs more than this; then onBreak(constraint)
+//   collide: let the two bodies collide with each other (default false)
+//   name
+const CONSTRAINT_TYPES = ["hinge", "slider", "point", "spring"];
+const CONSTRAINT_AXES_LENGTH = 3;
+// There is no binding for btTypedConstraint::isEnabled(); Bullet clears m_isEnabled (this byte offset into
+// the wasm32 object) when a breaking threshold is exceeded. m_breakingImpulseThreshold sits just before it,
+// which checkConstraintLayout() uses to make sure a different Ammo build hasn't moved them.
+const CONSTRAINT_ENABLED_OFFSET = 20;
+const CONSTRAINT_THRESHOLD_OFFSET = 16;
+let _constraintLayoutChecked = false;
+
+const _constraintPos = new THREE.Vector3();
+const _constraintQuat = new THREE.Quaternion();
+const _constraintInverse = new THREE.Quaternion();
+
+export function addConstraint(state, CONFIG, type, handleA, handleB = null, options = {}) {
+  const name = options.name ?? `${handleA?.name}_${type}`;
+  if (!CONSTRAINT_TYPES.includes(type)) throw new Error(`[${name}] constraint type must be one of: ${CONSTRAINT_TYPES.join(", ")}`);
+  if (!handleA?.body || (handleB && !handleB.body)) throw new Error(`[${name}] can't connect a removed object`);
+  if (handleA === handleB) throw new Error(`[${name}] can't connect an object to itself`);
+  const bodyB = handleB?.body ?? getConstraintAnchor(state);
+  if (handleA.body.isStaticOrKinematicObject() && bodyB.isStaticOrKinematicObject()) {
+    throw new Error(`[${name}] at least one of the two objects must be dynamic (mass > 0)`);
+  }
+
+  // the joint frame in world space: hinges turn around its Z axis, sliders move along its X axis
+  let pivot = options.pivot;
+  if (!pivot) {
+    readBodyTransform(state, handleA.body, _constraintPos, _constraintQuat);
+    pivot = _constraintPos.clone();
+  }
+  const rotation = new THREE.Quaternion();
+  if (type === "hinge") rotation.setFromUnitVectors(new THREE.Vector3(0, 0, 1), (options.axis ?? new THREE.Vector3(0, 1, 0)).clone().normalize());
+  if (type === "slider") rotation.setFromUnitVectors(new THREE.Vector3(1, 0, 0), (options.axis ?? new THREE.Vector3(1, 0, 0)).clone().normalize());
+
+  // Bullet measures hinge angles, slider travel and spring offsets of its second body relative to the
+  // first, so handleA goes second: a positive motor speed or limit then moves handleA
+  const frameA = toBodyFrame(state, handleA.body, pivot, rotation);
+  const frameB = toBodyFrame(state, bodyB, pivot, rotation);
+  const constraint = createAmmoConstraint(type, bodyB, handleA.body, frameB, frameA);
+  Ammo.destroy(frameA);
+  Ammo.destroy(frameB);
+
+  const c = {
+    name,
+    type,
+    constraint,
+    a: handleA,
+    b: handleB,
+    axes: createAxes(state, CONFIG, CONSTRAINT_AXES_LENGTH),
+    framePosition: new THREE.Vector3(), // joint frame in handleA's body space (places the axes)
+    frameQuaternion: new THREE.Quaternion(),
+    breakImpulse: options.breakImpulse ?? null,
+    onBreak: options.onBreak ?? null,
+    broken: false,
+    removed: false,
+  };
+  readBodyTransform(state, handleA.body, _constraintPos, _constraintQuat);
+  _constraintInverse.copy(_constraintQuat).invert();
+  c.framePosition.copy(pivot).sub(_constraintPos).applyQuaternion(_constraintInverse);
+  c.frameQuaternion.copy(_constraintInverse).multiply(rotation);
+  placeConstraintAxes(c, _constraintPos, _constraintQuat);
+
+  applyConstraintLimits(c, options);
+  if (options.motor) setConstraintMotor(state, c, options.motor);
+  if (c.breakImpulse !== null) {
+    constraint.setBreakingImpulseThreshold(c.breakImpulse);
+    checkConstraintLayout(constraint);
+  }
+
+  state.physicsWorld.addConstraint(constraint, !options.collide);
+  handleA.body.activate();
+  handleB?.body.activate();
+  state.constraints.push(c);
+  return c;
+}
+
+// Frees the joint; the bodies stay. Returns false if it was already removed (or broke).
+export function removeConstraint(state, c) {
+  const i = state.constraints.indexOf(c);
+  if (i === -1) return false;
+  state.constraints.splice(i, 1);
+  destroyConstraint(state, c);
+  return true;
+}
+
+// Turns a hinge/slider motor on (motor = { speed, maxImpulse | maxForce }) or off (motor = null)
+export function setConstraintMotor(state, c, motor) {
+  if (c.type === "hinge") {
+    c.constraint.enableAngularMotor(!!motor, THREE.MathUtils.degToRad(motor?.speed ?? 0), motor?.maxImpulse ?? 1);
+  } else if (c.type === "slider") {
+    c.constraint.setPoweredLinMotor(!!motor);
+    c.constraint.setTargetLinMotorVelocity(motor?.speed ?? 0);
+    c.constraint.setMaxLinMotorForce(motor?.maxForce ?? 10);
+  } else {
+    throw new Error(`[${c.name}] only hinges and sliders have motors`);
+  }
+  c.motor = motor ?? null;
+  // a body resting against a limit falls asleep and would ignore the new motor
+  c.a.body.activate();
+  c.b?.body.activate();
+}
+
+// Rope or chain hanging from start to end: capsule segments linked by point constraints.
+// options: attachStart / attachEnd (a handle, or "world" to pin that end in place; omitted = loose),
+// breakImpulse (per link), layer / material (collision layer / physics material of the segments). Resolves to { name, segments: [handles], links: [constraints] }.
+export async function spawnRope(state, CONFIG, start, end, segments = 10, radius = 0.25, mass = 0.2, name = "Rope", options = {}) {
+  const dir = new THREE.Vector3().subVectors(end, start);
+  const length = dir.length() / segments;
+  if (!(length >= 2 * radius)) throw new Error(`[${name}] segments would be shorter than they are thick; use fewer or thinner ones`);
+  dir.normalize();
+  const rotation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+
+  const rope = { name, segments: [], links: [] };
+  const link = (a, b, pivot) => {
+    rope.links.push(addConstraint(state, CONFIG, "point", a, b, { pivot, breakImpulse: options.breakImpulse, name: `${name}_link${rope.links.length}` }));
+  };
+  for (let i = 0; i < segments; i++) {
+    const center = start.clone().addScaledVector(dir, length * (i + 0.5));
+    const { shape, geometry } = createPrimitiveShape({ shape: "capsule", radius, height: length });
+    const segment = spawnShapeBody(state, CONFIG, "capsule", shape, createDebugWireframe(geometry), center, mass, `${name}_${i}`, { rotation, layer: options.layer, material: options.material });
+    segment.body.setDamping(0.1, 0.5); // a chain of light links would swing and twist for ages otherwise
+    if (i > 0) link(rope.segments[i - 1], segment, start.clone().addScaledVector(dir, length * i));
+    rope.segments.push(segment);
+  }
+
+  const ends = [[options.attachStart, rope.segments[0], start], [options.attachEnd, rope.segments[segments - 1], end]];
+  for (const [attach, segment, pivot] of ends) {
+    if (attach) link(segment, attach === "world" ? null : attach, pivot);
+  }
+  return rope;
+}
+
+// A static body that is never added to the world; "the world" side of single-object constraints
+function getConstraintAnchor(state) {
+  if (!state.constraintAnchor) {
+    state.constraintAnchor = createRigidBody(new Ammo.btSphereShape(0.1), 0, new THREE.Vector3(0, 0, 0));
+  }
+  return state.constraintAnchor;
+}
+
+// World-space pivot/rotation -> a new btTransform in the body's local space (caller destroys it)
+function toBodyFrame(state, body, pivot, rotation) {
+  readBodyTransform(state, body, _constraintPos, _constraintQuat);
+  _constraintInverse.copy(_constraintQuat).invert();
+  const p = _constraintPos.subVectors(pivot, _constraintPos).applyQuaternion(_constraintInverse);
+  const q = _constraintInverse.multiply(rotation);
+
+  const frame = new Ammo.btTransform();
+  frame.setIdentity();
+  state.tmpVecA.setValue(p.x, p.y, p.z);
+  state.tmpQuat.setValue(q.x, q.y, q.z, q.w);
+  frame.setOrigin(state.tmpVecA);
+  frame.setRotation(state.tmpQuat);
+  return frame;
+}
+
+function createAmmoConstraint(type, bodyA, bodyB, frameA, frameB) {
+  switch (type) {
+    case "hinge":
+      return new Ammo.btHingeConstraint(bodyA, bodyB, frameA, frameB, true);
+    case "slider":
+      return new Ammo.btSliderConstraint(bodyA, bodyB, frameA, frameB, true);
+    case "point": {
+      const pivotA = frameA.getOrigin();
+      const pivotB = frameB.getOrigin();
+      return new Ammo.btPoint2PointConstraint(bodyA, bodyB, pivotA, pivotB);
+    }
+    case "spring":
+      return new Ammo.btGeneric6DofSpringConstraint(bodyA, bodyB, frameA, frameB, true);
+  }
+}
+
+function applyConstraintLimits(c, options) {
+  const limits = options.limits;
+  const rad = THREE.MathUtils.degToRad;
+  if (c.type === "hinge") {
+    if (limits) c.constraint.setLimit(rad(limits.lower), rad(limits.upper), 0.9, 0.3, 1);
+  } else if (c.type === "slider") {
+    // the slider's own rotation is locked; lower > upper leaves the travel free
+    c.constraint.setLowerAngLimit(0);
+    c.constraint.setUpperAngLimit(0);
+    c.constraint.setLowerLinLimit(limits?.lower ?? 1);
+    c.constraint.setUpperLinLimit(limits?.upper ?? -1);
+  } else if (c.type === "spring") {
+    const stiffness = options.stiffness ?? 50;
+    const angularStiffness = options.angularStiffness ?? 0;
+    // free (lower > upper) where a spring pulls back; angles stay within a quarter turn (Bullet's 6DOF
+    // joint misbehaves past 90 degrees around Y)
+    const linearLower = limits?.linearLower ?? new THREE.Vector3(1, 1, 1);
+    const linearUpper = limits?.linearUpper ?? new THREE.Vector3(-1, -1, -1);
+    const turn = angularStiffness > 0 ? 45 : 0;
+    const angularLower = limits?.angularLower ?? new THREE.Vector3(-turn, -turn, -turn);
+    const angularUpper = limits?.angularUpper ?? new THREE.Vector3(turn, turn, turn);
+    const v = new Ammo.btVector3(0, 0, 0);
+    v.setValue(linearLower.x, linearLower.y, linearLower.z);
+    c.constraint.setLinearLowerLimit(v);
+    v.setValue(linearUpper.x, linearUpper.y, linearUpper.z);
+    c.constraint.setLinearUpperLimit(v);
+    v.setValue(rad(angularLower.x), rad(angularLower.y), rad(angularLower.z));
+    c.constraint.setAngularLowerLimit(v);
+    v.setValue(rad(angularUpper.x), rad(angularUpper.y), rad(angularUpper.z));
+    c.constraint.setAngularUpperLimit(v);
+    Ammo.destroy(v);
+
+    // indices 0-2 are the linear axes, 3-5 the angular ones
+    for (let i = 0; i < 6; i++) {
+      const k = (i < 3) ? stiffness : angularStiffness;
+      c.constraint.enableSpring(i, k > 0);
+      c.constraint.setStiffness(i, k);
+      c.constraint.setDamping(i, (i < 3) ? (options.damping ?? 0.05) : (options.angularDamping ?? 0.05));
+    }
+    c.constraint.setEquilibriumPoint(); // rest = the pose right now
+  }
+}
+
+// Once per page, on the first breakable joint: the threshold just set must read back at its offset and a
+// new joint must read as enabled, or checkBrokenConstraints() would break joints at random (or never)
+function checkConstraintLayout(constraint) {
+  if (_constraintLayoutChecked) return;
+  const ptr = Ammo.getPointer(constraint);
+  const threshold = Ammo.HEAPF32[(ptr + CONSTRAINT_THRESHOLD_OFFSET) >> 2];
+  const enabled = Ammo.HEAPU8[ptr + CONSTRAINT_ENABLED_OFFSET];
+  if (threshold !== constraint.getBreakingImpulseThreshold() || enabled !== 1) {
+    throw new Error("breakImpulse: this Ammo build lays out btTypedConstraint differently than game_core.js expects; " +
+      "update CONSTRAINT_ENABLED_OFFSET / CONSTRAINT_THRESHOLD_OFFSET");
+  }
+  _constraintLayoutChecked = true;
+}
+
+// Runs after every stepSimulation
+function checkBrokenConstraints(state) {
+  for (const c of [...state.constraints]) {
+    if (c.breakImpulse === null) continue;
+    if (Ammo.HEAPU8[Ammo.getPointer(c.constraint) + CONSTRAINT_ENABLED_OFFSET]) continue;
+    c.broken = true;
+    removeConstraint(state, c);
+    c.onBreak?.(c);
+  }
+}
+
+function destroyConstraint(state, c) {
+  state.physicsWorld?.removeConstraint(c.constraint);
+  Ammo.destroy(c.constraint);
+  disposeObject3D(c.axes);
+  c.constraint = null;
+  c.removed = true;
+}
+
+// Constraints on an object go with it (Bullet would keep pointing at the freed body)
+function removeObjectConstraints(state, handle) {
+  for (const c of [...state.constraints]) {
+    if (c.a === handle || c.b === handle) removeConstraint(state, c);
+  }
+}
+
+// Joint frame axes (debug mode) at body A's rendered pose
+function placeConstraintAxes(c, bodyPos, bodyQuat) {
+  c.axes.position.copy(c.framePosition).applyQuaternion(bodyQuat).add(bodyPos);
+  c.axes.quaternion.copy(bodyQuat).multiply(c.frameQuaternion);
+}
+
+// ------------------------------------------------------------
+// Trigger volumes (checkpoints, kill zones, exits, cutscene and tutorial starts)
+// ------------------------------------------------------------
+// A trigger is a static object with no contact response on the "triggers" layer: things pass through it,
+// but Bullet still builds contact manifolds for the overlap. After every physics step updateTriggers()
+// reads those and reports, per trigger and per object inside it:
+//   enter: the first tick it overlaps, stay: every tick after that, exit: the first tick it doesn't
+// Each event calls the trigger's own onEnter/onStay/onExit(object, trigger) and then the
+// triggerEnter/triggerStay/triggerExit hooks with (state, CONFIG, trigger, object). `object` is the
+// string "player" for the player, otherwise a game object handle.
+// Only the layers COLLISION_MATRIX lets collide with "triggers" can set one off.
+const TRIGGER_SHAPES = ["box", "sphere", "capsule"];
+const TRIGGER_EVENTS = {
+  enter: ["onEnter", "triggerEnter"],
+  stay: ["onStay", "triggerStay"],
+  exit: ["onExit", "triggerExit"],
+};
+
+// shape: { shape: "box", size } | { shape: "sphere", radius } | { shape: "capsule", radius, height },
+// centered on position. Returns the handle (handle.trigger holds the options and what is inside).
+// options:
+//   tags: which objects set it off: "player" for the player, any other string matches handle.tags
+//         (default ["player"])
+//   onEnter / onStay / onExit: (object, trigger) => void
+//   once: remove the trigger after its first enter (tutorial prompts, cutscene starts)
+//   data: anything, kept as trigger.trigger.data (e.g. { kind: "checkpoint" } from a level file)
+//   rotation, layer (default "triggers")
+export function spawnTrigger(state, CONFIG, position, shape, name = "Trigger", options = {}) {
+  if (!TRIGGER_SHAPES.includes(shape?.shape)) {
+    throw new Error(`[${name}] trigger shape must be one of: ${TRIGGER_SHAPES.join(", ")}`);
+  }
+  const { shape: collider, geometry } = createPrimitiveShape(shape);
+  const debugMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0xff66cc, wireframe: true }));
+  const handle = spawnShapeBody(state, CONFIG, "trigger", collider, debugMesh, position, 0, name, {
+    rotation: options.rotation,
+    layer: options.layer ?? "triggers",
+  });
+
+  const body = handle.body;
+  body.setCollisionFlags(body.getCollisionFlags() | CF_NO_CONTACT_RESPONSE);
+  if (state.physicsWorker && (options.onEnter || options.onStay || options.onExit)) warnWorkerOnly(`[${name}] trigger callbacks`);
+  handle.trigger = {
+    tags: options.tags ?? ["player"],
+    onEnter: options.onEnter ?? null,
+    onStay: options.onStay ?? null,
+    onExit: options.onExit ?? null,
+    once: options.once === true,
+    data: options.data ?? null,
+    inside: new Map(), // object -> { seen: tick it last overlapped, entered: enter not reported yet }
+  };
+  state.triggers.set(Ammo.getPointer(body), handle);
+  wakeBodiesInside(state, body);
+  return handle;
+}
+
+// Bullet skips pairs where neither body is awake, so something already asleep where a trigger appears
+// would never enter it
+function wakeBodiesInside(state, body) {
+  const min = new Ammo.btVector3(0, 0, 0);
+  const max = new Ammo.btVector3(0, 0, 0);
+  const otherMin = new Ammo.btVector3(0, 0, 0);
+  const otherMax = new Ammo.btVector3(0, 0, 0);
+  body.getAabb(min, max);
+  const bodies = state.gameObjects.map((o) => o.body);
+  if (state.Player) bodies.push(state.Player);
+  for (const other of bodies) {
+    if (!other || other.isStaticOrKinematicObject()) continue;
+    other.getAabb(otherMin, otherMax);
+    const overlaps = otherMin.x() <= max.x() && otherMax.x() >= min.x() &&
+      otherMin.y() <= max.y() && otherMax.y() >= min.y() &&
+      otherMin.z() <= max.z() && otherMax.z() >= min.z();
+    if (overlaps) other.activate();
+  }
+  Ammo.destroy(min);
+  Ammo.destroy(max);
+  Ammo.destroy(otherMin);
+  Ammo.destroy(otherMax);
+}
+
+function triggerReactsTo(trigger, object) {
+  if (object === "player") return trigger.tags.includes("player");
+  return object.tags.some((tag) => trigger.tags.includes(tag));
+}
+
+function manifoldTouches(manifold) {
+  const n = manifold.getNumContacts();
+  for (let j = 0; j < n; j++) {
+    if (manifold.getContactPoint(j).getDistance() < 0) return true;
+  }
+  return false;
+}
+
+function updateTriggers(state, CONFIG) {
+  const tick = ++state.triggerTick;
+
+  const numManifolds = state.dispatcher.getNumManifolds();
+  for (let i = 0; i < numManifolds; i++) {
+    const manifold = state.dispatcher.getManifoldByIndexInternal(i);
+    const ptr0 = Ammo.getPointer(manifold.getBody0());
+    const ptr1 = Ammo.getPointer(manifold.getBody1());
+    const trigger0 = state.triggers.get(ptr0);
+    const handle = trigger0 ?? state.triggers.get(ptr1);
+    if (!handle || !manifoldTouches(manifold)) continue;
+
+    const otherPtr = trigger0 ? ptr1 : ptr0;
+    const object = (otherPtr === state.playerPtr) ? "player" : state.bodyObjects.get(otherPtr);
+    if (!object || !triggerReactsTo(handle.trigger, object)) continue;
+
+    const entry = handle.trigger.inside.get(object);
+    if (entry) entry.seen = tick;
+    else handle.trigger.inside.set(object, { seen: tick, entered: true });
+  }
+
+  // Callbacks run after the scan: they may remove objects, and the manifolds with them
+  for (const handle of state.triggers.values()) {
+    for (const [object, entry] of handle.trigger.inside) {
+      if (handle.removed) break;
+      if (object !== "player" && object.removed) {
+        handle.trigger.inside.delete(object); // removed while inside: nothing left to report on
+      } else if (entry.seen !== tick) {
+        handle.trigger.inside.delete(object);
+        fireTriggerEvent(state, CONFIG, handle, "exit", object);
+      } else if (entry.entered) {
+        entry.entered = false;
+        fireTriggerEvent(state, CONFIG, handle, "enter", object);
+        if (handle.trigger.once) removeObject(state, handle);
+      } else {
+        fireTriggerEvent(state, CONFIG, handle, "stay", object);
+      }
+    }
+  }
+}
+
+function fireTriggerEvent(state, CONFIG, handle, event, object) {
+  const [callback, phase] = TRIGGER_EVENTS[event];
+  handle.trigger[callback]?.(object, handle);
+  runHooks(state, CONFIG, phase, handle, object);
+}
+
+// ------------------------------------------------------------
+// Collision events (impact sounds, fall damage, breakables)
+// ------------------------------------------------------------
+// Reports when two objects (or an object and the player) start and stop touching. A pair begins on the
+// first tick Bullet has contact points for it and ends on the first tick it has none. Trigger volumes
+// have their own events and are left out. Nothing is tracked until something listens (a callback or a
+// collisionBegin/collisionEnd hook), since it means reading every contact manifold each tick.
+// Begin events describe the impact:
+//   a, b:             the two objects ("player" for the player, otherwise handles)
+//   impulse:          total impulse the solver applied along the contact normals this tick
+//   relativeVelocity: THREE.Vector3, a's velocity minus b's at the contact point, just before the tick
+//   speed:            how fast they were closing along the normal (0 if they weren't)
+//   point, normal:    THREE.Vector3s: where they touch (world space) and the normal pointing from b to a
+// End events are { a, b }. Per-object callbacks always get their own object as `a`.
+
+// callbacks: { onBegin(event), onEnd(event) } (either optional), or null to stop listening.
+// object: a handle, or "player".
+export function setCollisionCallbacks(state, object, callbacks) {
+  if (state.physicsWorker && callbacks) warnWorkerOnly("setCollisionCallbacks()");
+  if (object === "player") {
+    state.playerCollisionCallbacks = callbacks ?? null;
+    return;
+  }
+  object.collisionCallbacks = callbacks ?? null;
+  if (callbacks) state.collisionListeners.add(object);
+  else state.collisionListeners.delete(object);
+}
+
+function collisionEventsWanted(state) {
+  return state.collisionListeners.size > 0 || !!state.playerCollisionCallbacks ||
+    state.hooks.collisionBegin.length > 0 || state.hooks.collisionEnd.length > 0;
+}
+
+// Bullet only keeps the velocities after the solver, which for an impact are the ones after it
+function capturePreStepVelocities(state) {
+  const bodies = state.gameObjects;
+  for (let i = 0; i < bodies.length; i++) {
+    const body = bodies[i].body;
+    if (body && !body.isStaticObject()) storePreStepVelocity(state, body);
+  }
+  if (state.Player) storePreStepVelocity(state, state.Player);
+}
+
+function storePreStepVelocity(state, body) {
+  const ptr = Ammo.getPointer(body);
+  let v = state.preStepVelocities.get(ptr);
+  if (!v) state.preStepVelocities.set(ptr, v = new Float64Array(6));
+  const lv = body.getLinearVelocity();
+  const av = body.getAngularVelocity();
+  v[0] = lv.x(); v[1] = lv.y(); v[2] = lv.z();
+  v[3] = av.x(); v[4] = av.y(); v[5] = av.z();
+}
+
+function collisionObjectForBody(state, ptr) {
+  if (ptr === state.playerPtr) return "player";
+  return state.bodyObjects.get(ptr) ?? null;
+}
+
+function updateCollisionEvents(state, CONFIG) {
+  const tick = ++state.contactTick;
+  let begins = null;
+
+  const numManifolds = state.dispatcher.getNumManifolds();
+  for (let i = 0; i < numManifolds; i++) {
+    const manifold = state.dispatcher.getManifoldByIndexInternal(i);
+    if (manifold.getNumContacts() === 0) continue;
+    const ptr0 = Ammo.getPointer(manifold.getBody0());
+    const ptr1 = Ammo.getPointer(manifold.getBody1());
+    if (state.triggers.has(ptr0) || state.triggers.has(ptr1)) continue;
+    const a = collisionObjectForBody(state, ptr0);
+    const b = collisionObjectForBody(state, ptr1);
+    if (!a || !b) continue;
+
+    const lo = Math.min(ptr0, ptr1);
+    const hi = Math.max(ptr0, ptr1);
+    let pairs = state.contactPairs.get(lo);
+    if (!pairs) state.contactPairs.set(lo, pairs = new Map());
+    const pair = pairs.get(hi);
+    if (pair) {
+      pair.seen = tick;
+      continue;
+    }
+    pairs.set(hi, { a, b, seen: tick });
+    (begins ??= []).push(createCollisionEvent(state, manifold, a, b));
+  }
+
+  let ends = null;
+  for (const [lo, pairs] of state.contactPairs) {
+    for (const [hi, pair] of pairs) {
+      if (pair.seen === tick) continue;
+      pairs.delete(hi);
+      (ends ??= []).push({ a: pair.a, b: pair.b });
+    }
+    if (!pairs.size) state.contactPairs.delete(lo);
+  }
+
+  // Callbacks run after the scan: they may remove objects, and the manifolds with them
+  for (const event of begins ?? []) fireCollisionEvent(state, CONFIG, event, "onBegin", "collisionBegin");
+  for (const event of ends ?? []) fireCollisionEvent(state, CONFIG, event, "onEnd", "collisionEnd");
+}
+
+const _contactVelocityB = new THREE.Vector3();
+
+// The pair's strongest contact point stands for the whole contact
+function createCollisionEvent(state, manifold, a, b) {
+  let impulse = 0;
+  let strongest = 0;
+  const n = manifold.getNumContacts();
+  for (let j = 0; j < n; j++) {
+    const applied = manifold.getContactPoint(j).getAppliedImpulse();
+    impulse += applied;
+    if (applied > manifold.getContactPoint(strongest).getAppliedImpulse()) strongest = j;
+  }
+
+  const pt = manifold.getContactPoint(strongest);
+  const pA = pt.get_m_positionWorldOnA();
+  const pB = pt.get_m_positionWorldOnB();
+  const point = new THREE.Vector3((pA.x() + pB.x()) / 2, (pA.y() + pB.y()) / 2, (pA.z() + pB.z()) / 2);
+  const nB = pt.get_m_normalWorldOnB();
+  const normal = new THREE.Vector3(nB.x(), nB.y(), nB.z());
+
+  const relativeVelocity = preStepPointVelocity(state, manifold.getBody0(), point, new THREE.Vector3())
+    .sub(preStepPointVelocity(state, manifold.getBody1(), point, _contactVelocityB));
+  const speed = Math.max(0, -relativeVelocity.dot(normal));
+  return { a, b, impulse, relativeVelocity, speed, point, normal };
+}
+
+// Velocity of the body's material at point (linear + angular x lever arm); static bodies don't move
+function preStepPointVelocity(state, body, point, out) {
+  const v = state.preStepVelocities.get(Ammo.getPointer(body));
+  if (!v) return out.set(0, 0, 0);
+  const o = body.getWorldTransform().getOrigin();
+  const rx = point.x - o.x(), ry = point.y - o.y(), rz = point.z - o.z();
+  return out.set(
+    v[0] + v[4] * rz - v[5] * ry,
+    v[1] + v[5] * rx - v[3] * rz,
+    v[2] + v[3] * ry - v[4] * rx
+  );
+}
+
+function fireCollisionEvent(state, CONFIG, event, callback, phase) {
+  const { a, b } = event;
+  if (a.removed || b.removed) return; // removed by an earlier callback this tick
+  collisionCallbacksFor(state, a)?.[callback]?.(event);
+  const forB = collisionCallbacksFor(state, b)?.[callback];
+  if (forB) forB(swapCollisionEvent(event));
+  runHooks(state, CONFIG, phase, event);
+}
+
+function collisionCallbacksFor(state, object) {
+  return (object === "player") ? state.playerCollisionCallbacks : object.collisionCallbacks;
+}
+
+// The same event seen from b
+function swapCollisionEvent(event) {
+  const swapped = { ...event, a: event.b, b: event.a };
+  if (event.normal) {
+    swapped.normal = event.normal.clone().negate();
+    swapped.relativeVelocity = event.relativeVelocity.clone().negate();
+  }
+  return swapped;
+}
+
+// ------------------------------------------------------------
+// Physics queries (raycasts, sphere/capsule sweeps, overlaps)
+// ------------------------------------------------------------
+// Line of sight, mouse picking, ledge detection, AI sensing. Positions are THREE.Vector3s in world space.
+// Hits are { object, point, normal, fraction, distance }: object is a handle, "player", or null for a
+// body that isn't a game object; fraction is how far along from -> to (0..1) and distance the same in units.
+// options (all optional):
+//   layers: collision layers to hit (default: all but "triggers", which nothing solid stops at)
+// Queries see the world as the last physics step left it. A ray that starts inside an object doesn't hit
+// it, so a ray from a character's center passes out of the character; a sweep that starts overlapping
+// something may report it at fraction 0, so start sweeps clear of the caster or leave its layer out.
+const QUERY_DEFAULT_LAYERS = COLLISION_LAYERS.filter((layer) => layer !== "triggers");
+// btCollisionWorld::ContactResultCallback keeps its filter group right after the vtable pointer, and its
+// mask right after that; Ammo has no setter for them, and the default group doesn't match the masks
+// addBodyToWorld sets
+const CONTACT_CALLBACK_GROUP_OFFSET = 4;
+const CONTACT_CALLBACK_MASK_OFFSET = 6;
+let _contactCallbackLayoutChecked = false;
+
+function queryLayerBits(options) {
+  return collisionLayerBits(options.layers ?? QUERY_DEFAULT_LAYERS);
+}
+
+function queryHit(state, collisionObject, point, normal, fraction, length) {
+  return {
+    object: collisionObjectForBody(state, Ammo.getPointer(collisionObject)),
+    point: new THREE.Vector3(point.x(), point.y(), point.z()),
+    normal: new THREE.Vector3(normal.x(), normal.y(), normal.z()),
+    fraction,
+    distance: fraction * length,
+  };
+}
+
+// Closest hit along the segment, or null
+export function raycast(state, from, to, options = {}) {
+  const cb = rayTestClosest(state, from.x, from.y, from.z, to.x, to.y, to.z, queryLayerBits(options));
+  if (!cb.hasHit()) return null;
+  const fraction = cb.get_m_closestHitFraction();
+  return queryHit(state, cb.get_m_collisionObject(), cb.get_m_hitPointWorld(), cb.get_m_hitNormalWorld(), fraction, from.distanceTo(to));
+}
+
+// Every hit along the segment, nearest first (a trimesh can be hit more than once)
+export function raycastAll(state, from, to, options = {}) {
+  const fromV = new Ammo.btVector3(from.x, from.y, from.z);
+  const toV = new Ammo.btVector3(to.x, to.y, to.z);
+  const cb = new Ammo.AllHitsRayResultCallback(fromV, toV);
+  cb.set_m_collisionFilterGroup(COLLISION_QUERY_BIT);
+  cb.set_m_collisionFilterMask(queryLayerBits(options));
+  state.physicsWorld.rayTest(fromV, toV, cb);
+
+  const hits = [];
+  const objects = cb.get_m_collisionObjects();
+  const points = cb.get_m_hitPointWorld();
+  const normals = cb.get_m_hitNormalWorld();
+  const fractions = cb.get_m_hitFractions();
+  const length = from.distanceTo(to);
+  for (let i = 0; i < objects.size(); i++) {
+    hits.push(queryHit(state, objects.at(i), points.at(i), normals.at(i), fractions.at(i), length));
+  }
+  hits.sort((a, b) => a.fraction - b.fraction);
+
+  Ammo.destroy(cb);
+  Ammo.destroy(fromV);
+  Ammo.destroy(toV);
+  return hits;
+}
+
+// Sweeps a sphere's center from -> to; first hit or null. The hit also has `position`: where the
+// center is when the sphere touches.
+export function sphereCast(state, from, to, radius, options = {}) {
+  const shape = new Ammo.btSphereShape(radius);
+  const hit = convexSweep(state, shape, from, to, null, options);
+  Ammo.destroy(shape);
+  return hit;
+}
+
+// Same for a capsule (height = total length, upright unless options.rotation, like spawnCapsule)
+export function capsuleCast(state, from, to, radius, height, options = {}) {
+  const shape = new Ammo.btCapsuleShape(radius, height - 2 * radius);
+  const hit = convexSweep(state, shape, from, to, spawnRotation(options), options);
+  Ammo.destroy(shape);
+  return hit;
+}
+
+function convexSweep(state, shape, from, to, rotation, options) {
+  const fromT = new Ammo.btTransform();
+  const toT = new Ammo.btTransform();
+  const q = new Ammo.btQuaternion(rotation?.x ?? 0, rotation?.y ?? 0, rotation?.z ?? 0, rotation?.w ?? 1);
+  fromT.setIdentity();
+  fromT.setRotation(q);
+  toT.setIdentity();
+  toT.setRotation(q);
+  const fromV = fromT.getOrigin();
+  const toV = toT.getOrigin();
+  fromV.setValue(from.x, from.y, from.z);
+  toV.setValue(to.x, to.y, to.z);
+
+  const cb = new Ammo.ClosestConvexResultCallback(fromV, toV);
+  cb.set_m_collisionFilterGroup(COLLISION_QUERY_BIT);
+  cb.set_m_collisionFilterMask(queryLayerBits(options));
+  state.physicsWorld.convexSweepTest(shape, fromT, toT, cb, 0);
+
+  let hit = null;
+  if (cb.hasHit()) {
+    const fraction = cb.get_m_closestHitFraction();
+    hit = queryHit(state, cb.get_m_hitCollisionObject(), cb.get_m_hitPointWorld(), cb.get_m_hitNormalWorld(), fraction, from.distanceTo(to));
+    hit.position = new THREE.Vector3().lerpVectors(from, to, fraction);
+  }
+
+  Ammo.destroy(cb);
+  Ammo.destroy(q);
+  Ammo.destroy(fromT);
+  Ammo.destroy(toT);
+  return hit;
+}
+
+// Once per page, on the first overlapTest: a new callback must read Bullet's defaults (group
+// DefaultFilter = 1, mask AllFilter = -1) at those offsets, or the write above would land elsewhere
+function checkContactCallbackLayout(cb) {
+  if (_contactCallbackLayoutChecked) return;
+  const ptr = Ammo.getPointer(cb);
+  const group = Ammo.HEAP16[(ptr + CONTACT_CALLBACK_GROUP_OFFSET) >> 1];
+  const mask = Ammo.HEAP16[(ptr + CONTACT_CALLBACK_MASK_OFFSET) >> 1];
+  if (group !== 1 || mask !== -1) {
+    Ammo.destroy(cb);
+    throw new Error("overlapTest: this Ammo build lays out ContactResultCallback differently than game_core.js expects; " +
+      "update CONTACT_CALLBACK_GROUP_OFFSET");
+  }
+  _contactCallbackLayoutChecked = true;
+}
+
+// Everything overlapping a box, sphere or capsule (shape as for spawnTrigger) centered on position,
+// once per object: [{ object, point, normal, depth }], deepest contact per object, normal pointing
+// out of the object. options: layers, rotation.
+export function overlapTest(state, position, shape, options = {}) {
+  if (!TRIGGER_SHAPES.includes(shape?.shape)) throw new Error(`overlapTest shape must be one of: ${TRIGGER_SHAPES.join(", ")}`);
+  const cb = new Ammo.ConcreteContactResultCallback();
+  checkContactCallbackLayout(cb);
+  const { shape: collider, geometry } = createPrimitiveShape(shape);
+  geometry.dispose();
+  const probe = createRigidBody(collider, 0, position, spawnRotation(options));
+  const probePtr = Ammo.getPointer(probe);
+  const layerBits = queryLayerBits(options);
+  const found = new Map(); // body pointer -> overlap
+
+  Ammo.HEAP16[(Ammo.getPointer(cb) + CONTACT_CALLBACK_GROUP_OFFSET) >> 1] = COLLISION_QUERY_BIT;
+  cb.addSingleResult = (cpPtr, wrap0Ptr, partId0, index0, wrap1Ptr) => {
+    const cp = Ammo.wrapPointer(cpPtr, Ammo.btManifoldPoint);
+    const depth = -cp.getDistance();
+    if (depth <= 0) return 0;
+    const body0 = Ammo.wrapPointer(wrap0Ptr, Ammo.btCollisionObjectWrapper).getCollisionObject();
+    const body1 = Ammo.wrapPointer(wrap1Ptr, Ammo.btCollisionObjectWrapper).getCollisionObject();
+    const probeIs0 = Ammo.getPointer(body0) === probePtr;
+    const ptr = Ammo.getPointer(probeIs0 ? body1 : body0);
+    const layer = state.bodyLayers.get(ptr);
+    if (!layer || !(collisionLayerBit(layer) & layerBits)) return 0;
+    if ((found.get(ptr)?.depth ?? 0) >= depth) return 0;
+
+    // normalWorldOnB points from B to A; flip it so it points from the object to the probe
+    const n = cp.get_m_normalWorldOnB();
+    const sign = probeIs0 ? 1 : -1;
+    const p = probeIs0 ? cp.get_m_positionWorldOnB() : cp.get_m_positionWorldOnA();
+    found.set(ptr, {
+      object: collisionObjectForBody(state, ptr),
+      point: new THREE.Vector3(p.x(), p.y(), p.z()),
+      normal: new THREE.Vector3(n.x() * sign, n.y() * sign, n.z() * sign),
+      depth,
+    });
+    return 0;
+  };
+  state.physicsWorld.contactTest(probe, cb);
+
+  Ammo.destroy(cb);
+  destroyRigidBody(state, probe);
+  return [...found.values()];
+}
+
+// ------------------------------------------------------------
+// Levels (JSON)
+// ------------------------------------------------------------
+// A level file describes the whole map; see static/levels/default.json and GameCoreDoc.md.
+// Vectors are [x, y, z] arrays and rotations are in degrees.
+const LEVEL_COLLIDERS = [...PRIMITIVE_SHAPES, "compound", "hull", "trimesh"];
+
+// Fetches (URL) or takes (object) a level and validates it. Throws an Error listing every problem.
+export async function loadLevel(source) {
+  let level = source;
+  let label = "level";
+  if (typeof source === "string") {
+    label = source;
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Could not load level ${source}: HTTP ${res.status}`);
+    try {
+      level = await res.json();
+    } catch (err) {
+      throw new Error(`Level ${source} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  const problems = validateLevel(level);
+  if (problems.length) throw new Error(`Invalid ${label}:\n  ${problems.join("\n  ")}`);
+  return level;
+}
+
+// Returns a list of human-readable problems (empty = valid). Object problems name the entry,
+// e.g. `objects[3] ("crate2"): size must be an array of 3 positive numbers`.
+export function validateLevel(level) {
+  const problems = [];
+  if (!isPlainObject(level)) return ["level must be a JSON object"];
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(isNum);
+  const check = (ok, where, msg) => { if (!ok) problems.push(`${where}: ${msg}`); };
+  const checkTerrain = (t, where) => {
+    if (!isPlainObject(t)) return check(false, where, "must be an object");
+    const sources = ["heightmap", "noise", "heights"].filter((key) => t[key] !== undefined);
+    check(sources.length === 1, where, "needs exactly one of heightmap, noise or heights");
+    if (t.heightmap !== undefined) check(typeof t.heightmap === "string", `${where}.heightmap`, "must be an image URL");
+    if (t.noise !== undefined) {
+      const n = t.noise;
+      const ok = isPlainObject(n) && ["seed", "scale", "octaves", "persistence"].every((key) => n[key] === undefined || isNum(n[key]));
+      check(ok && (n.scale ?? 1) > 0 && (n.octaves ?? 1) >= 1, `${where}.noise`, "must be { seed, scale, octaves, persistence } with a positive scale and octaves >= 1");
+    }
+    if (t.heights !== undefined) {
+      const rows = t.heights;
+      const ok = Array.isArray(rows) && rows.length >= 2 &&
+        rows.every((row) => Array.isArray(row) && row.length >= 2 && row.length === rows[0].length && row.every(isNum));
+      check(ok, `${where}.heights`, "must be at least 2 rows of at least 2 numbers, every row the same length");
+    }
+    if (t.resolution !== undefined) check(Number.isInteger(t.resolution) && t.resolution >= 2, `${where}.resolution`, "must be an integer >= 2");
+    if (t.height !== undefined) check(isNum(t.height), `${where}.height`, "must be a number");
+    if (t.splat !== undefined) {
+      const splat = t.splat;
+      check(isPlainObject(splat), `${where}.splat`, "must be an object");
+      if (!isPlainObject(splat)) return;
+      const layersOk = Array.isArray(splat.layers) && splat.layers.length >= 1 && splat.layers.length <= TERRAIN_MAX_SPLAT_LAYERS &&
+        splat.layers.every((l) => isPlainObject(l) && typeof l.texture === "string" && (l.repeat === undefined || (isNum(l.repeat) && l.repeat > 0)));
+      check(layersOk, `${where}.splat.layers`, `must be 1 to ${TERRAIN_MAX_SPLAT_LAYERS} { texture, repeat } entries`);
+      if (splat.map !== undefined) check(typeof splat.map === "string", `${where}.splat.map`, "must be an image URL");
+    }
+  };
+
+  if (level.ground !== undefined) {
+    check(isPlainObject(level.ground), "ground", "must be an object");
+    if (isPlainObject(level.ground)) {
+      if (level.ground.size !== undefined) check(isNum(level.ground.size) && level.ground.size > 0, "ground.size", "must be a positive number");
+      if (level.ground.texture !== undefined) check(typeof level.ground.texture === "string", "ground.texture", "must be a URL string");
+      if (level.ground.material !== undefined) check(typeof level.ground.material === "string", "ground.material", "must be a physics material name");
+      if (level.ground.terrain !== undefined) checkTerrain(level.ground.terrain, "ground.terrain");
+    }
+  }
+
+  if (level.sky !== undefined) {
+    check(isPlainObject(level.sky) && typeof level.sky.texture === "string", "sky", "must be an object with a texture URL");
+  }
+
+  if (level.lighting !== undefined) {
+    const lighting = level.lighting;
+    check(isPlainObject(lighting), "lighting", "must be an object");
+    if (isPlainObject(lighting)) {
+      if (lighting.ambient !== undefined) {
+        check(isPlainObject(lighting.ambient) && isNum(lighting.ambient.intensity ?? 1), "lighting.ambient", "must be { color, intensity }");
+      }
+      if (lighting.directional !== undefined) {
+        check(Array.isArray(lighting.directional), "lighting.directional", "must be an array");
+        (Array.isArray(lighting.directional) ? lighting.directional : []).forEach((l, i) => {
+          check(isPlainObject(l) && isVec3(l.position), `lighting.directional[${i}]`, "must have a position [x, y, z]");
+        });
+      }
+    }
+  }
+
+  if (level.player !== undefined) {
+    check(isPlainObject(level.player), "player", "must be an object");
+    if (isPlainObject(level.player)) {
+      if (level.player.position !== undefined) check(isVec3(level.player.position), "player.position", "must be [x, y, z]");
+      if (level.player.yawDeg !== undefined) check(isNum(level.player.yawDeg), "player.yawDeg", "must be a number");
+    }
+  }
+
+  if (level.chunks !== undefined) {
+    const chunks = level.chunks;
+    check(isPlainObject(chunks), "chunks", "must be an object");
+    if (isPlainObject(chunks)) {
+      check(isNum(chunks.size) && chunks.size > 0, "chunks.size", "must be a positive number");
+      const urlOk = typeof chunks.url === "string" && chunks.url.includes("{x}") && chunks.url.includes("{z}");
+      check(urlOk, "chunks.url", "must be a URL template containing {x} and {z}");
+      if (chunks.list !== undefined) {
+        const ok = Array.isArray(chunks.list) && chunks.list.every((c) => Array.isArray(c) && c.length === 2 && c.every(Number.isInteger));
+        check(ok, "chunks.list", "must be an array of [x, z] chunk coordinates");
+      }
+    }
+  }
+
+  const models = level.models ?? {};
+  check(isPlainObject(models), "models", "must be an object of named modelOptions");
+  const checkModelOptions = (m, where) => {
+    if (!isPlainObject(m)) return check(false, where, "must be an object");
+    check(typeof m.objPath === "string" && typeof m.mtlPath === "string", where, "needs objPath and mtlPath");
+    if (m.scale !== undefined) check(isVec3(m.scale) || isNum(m.scale), `${where}.scale`, "must be a number or [x, y, z]");
+    if (m.rotationDeg !== undefined) check(isVec3(m.rotationDeg), `${where}.rotationDeg`, "must be [x, y, z] degrees");
+    if (m.offset !== undefined) check(isVec3(m.offset), `${where}.offset`, "must be [x, y, z]");
+    if (m.instanced !== undefined) check(typeof m.instanced === "boolean", `${where}.instanced`, "must be true or false");
+  };
+  const checkMotion = (m, where) => {
+    if (!isPlainObject(m)) return check(false, where, "must be an object");
+    if (m.path !== undefined) check(Array.isArray(m.path) && m.path.every(isVec3), `${where}.path`, "must be an array of [x, y, z] offsets");
+    if (m.speed !== undefined) check(isNum(m.speed) && m.speed > 0, `${where}.speed`, "must be a positive number");
+    if (m.mode !== undefined) check(PLATFORM_MODES.includes(m.mode), `${where}.mode`, `must be one of: ${PLATFORM_MODES.join(", ")}`);
+    if (m.wait !== undefined) check(isNum(m.wait) && m.wait >= 0, `${where}.wait`, "must be a number >= 0");
+    if (m.spin !== undefined) check(isNum(m.spin), `${where}.spin`, "must be degrees per second");
+    if (m.spinAxis !== undefined) check(isVec3(m.spinAxis) && m.spinAxis.some((v) => v !== 0), `${where}.spinAxis`, "must be a non-zero [x, y, z]");
+  };
+  const isStringArray = (v) => Array.isArray(v) && v.every((s) => typeof s === "string");
+  const checkTrigger = (t, where) => {
+    if (!isPlainObject(t)) return check(false, where, "must be an object");
+    if (t.tags !== undefined) check(isStringArray(t.tags), `${where}.tags`, "must be an array of strings");
+    if (t.once !== undefined) check(typeof t.once === "boolean", `${where}.once`, "must be true or false");
+  };
+  // dimensions of a primitive collider or compound part
+  const checkPrimitive = (e, shape, where) => {
+    if (shape === "box") {
+      check(isVec3(e.size) && e.size.every((v) => v > 0), where, "size must be an array of 3 positive numbers");
+      return;
+    }
+    check(isNum(e.radius) && e.radius > 0, where, "radius must be a positive number");
+    if (shape === "capsule") {
+      check(isNum(e.height) && e.height >= 2 * e.radius, where, "height must be a number >= 2 * radius");
+    } else if (shape !== "sphere") {
+      check(isNum(e.height) && e.height > 0, where, "height must be a positive number");
+    }
+  };
+  if (isPlainObject(models)) {
+    for (const [key, m] of Object.entries(models)) checkModelOptions(m, `models.${key}`);
+  }
+
+  if (!Array.isArray(level.objects)) {
+    problems.push("objects: must be an array");
+    return problems;
+  }
+
+  const checkObject = (entry, where) => {
+    check(LEVEL_COLLIDERS.includes(entry.collider), where, `collider must be one of: ${LEVEL_COLLIDERS.join(", ")}`);
+    check(isVec3(entry.position), where, "position must be [x, y, z]");
+    if (entry.rotationDeg !== undefined) check(isVec3(entry.rotationDeg), where, "rotationDeg must be [x, y, z] degrees");
+    if (entry.mass !== undefined) check(isNum(entry.mass) && entry.mass >= 0, where, "mass must be a number >= 0");
+    if (entry.layer !== undefined) check(COLLISION_LAYERS.includes(entry.layer), where, `layer must be one of: ${COLLISION_LAYERS.join(", ")}`);
+    if (entry.tags !== undefined) check(isStringArray(entry.tags), where, "tags must be an array of strings");
+    if (entry.material !== undefined) check(typeof entry.material === "string", where, "material must be a physics material name");
+
+    if (PRIMITIVE_SHAPES.includes(entry.collider)) {
+      checkPrimitive(entry, entry.collider, where);
+    } else if (entry.collider === "compound") {
+      check(Array.isArray(entry.parts) && entry.parts.length > 0, where, "parts must be a non-empty array");
+      (Array.isArray(entry.parts) ? entry.parts : []).forEach((part, j) => {
+        const at = `${where}.parts[${j}]`;
+        if (!isPlainObject(part)) return check(false, at, "must be an object");
+        check(PRIMITIVE_SHAPES.includes(part.shape), at, `shape must be one of: ${PRIMITIVE_SHAPES.join(", ")}`);
+        if (part.position !== undefined) check(isVec3(part.position), at, "position must be [x, y, z]");
+        if (part.rotationDeg !== undefined) check(isVec3(part.rotationDeg), at, "rotationDeg must be [x, y, z] degrees");
+        if (PRIMITIVE_SHAPES.includes(part.shape)) checkPrimitive(part, part.shape, at);
+      });
+    } else if (entry.collider === "hull") {
+      check(entry.modelOptions !== undefined, where, "hull colliders need modelOptions");
+    } else if (entry.collider === "trimesh") {
+      check(!entry.mass, where, "trimesh colliders are always static (mass must be 0 or omitted)");
+      check(entry.rotationDeg === undefined, where, "trimesh rotation comes from modelOptions.rotationDeg");
+      check(entry.modelOptions !== undefined, where, "trimesh colliders need modelOptions");
+    }
+
+    if (entry.trigger !== undefined) {
+      check(TRIGGER_SHAPES.includes(entry.collider), where, `trigger colliders must be one of: ${TRIGGER_SHAPES.join(", ")}`);
+      check(!entry.mass, where, "triggers are static (mass must be 0 or omitted)");
+      checkTrigger(entry.trigger, `${where}.trigger`);
+    }
+
+    if (entry.motion !== undefined) {
+      check(entry.collider !== "trimesh", where, "trimesh colliders can't move (use a box, hull or compound)");
+      check(!entry.mass, where, "moving platforms are kinematic (mass must be 0 or omitted)");
+      checkMotion(entry.motion, `${where}.motion`);
+    }
+
+    if (typeof entry.modelOptions === "string") {
+      check(isPlainObject(models) && isPlainObject(models[entry.modelOptions]), where, `unknown model "${entry.modelOptions}"`);
+    } else if (entry.modelOptions !== undefined && entry.modelOptions !== null) {
+      checkModelOptions(entry.modelOptions, `${where}.modelOptions`);
+    }
+  };
+
+  const names = new Set();
+  level.objects.forEach((entry, i) => {
+    const where = levelEntryLabel(entry, i);
+    if (!isPlainObject(entry)) return check(false, where, "must be an object");
+
+    check(typeof entry.name === "string" && entry.name.length > 0, where, "needs a name");
+    if (typeof entry.name === "string") {
+      check(!names.has(entry.name), where, `duplicate name "${entry.name}"`);
+      names.add(entry.name);
+    }
+    checkObject(entry, where);
+  });
+
+  if (level.border !== undefined) {
+    const border = level.border;
+    check(isPlainObject(border), "border", "must be an object");
+    if (isPlainObject(border)) {
+      check(isNum(border.spacing) && border.spacing > 0, "border.spacing", "must be a positive number");
+      if (border.y !== undefined) check(isNum(border.y), "border.y", "must be a number");
+      if (!isPlainObject(border.object)) {
+        check(false, "border.object", "must be an object");
+      } else {
+        check(typeof border.object.name === "string" && border.object.name.length > 0, "border.object", "needs a name");
+        check(border.object.position === undefined, "border.object", "position comes from the border (use border.y for the height)");
+        check(border.object.trigger === undefined && border.object.motion === undefined, "border.object", "can't be a trigger or moving platform");
+        checkObject({ ...border.object, position: [0, 0, 0] }, "border.object");
+      }
+    }
+  }
+
+  return problems;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function levelEntryLabel(entry, i) {
+  return (entry && typeof entry.name === "string") ? `objects[${i}] ("${entry.name}")` : `objects[${i}]`;
+}
+
+const toVector3 = (v, fallback = [0, 0, 0]) => new THREE.Vector3(...(v ?? fallback));
+const toEulerDeg = (v) => new THREE.Euler(...(v ?? [0, 0, 0]).map((d) => THREE.MathUtils.degToRad(d)));
+
+// ground.terrain -> spawnTerrain()'s terrain, the ground's size and texture filling in what it leaves out
+function levelTerrain(CONFIG, level) {
+  return {
+    size: level.ground.size ?? CONFIG.PLANE_SIZE,
+    splat: { layers: [{ texture: level.ground.texture ?? "/static/textures/grass.jpg" }] },
+    ...level.ground.terrain,
+  };
+}
+
+// level.border -> object entries every border.spacing along the ground's edge (ground.size, or
+// CONFIG.PLANE_SIZE), named border.object.name + a running number. They aren't in level.objects, so
+// changing the ground's size moves the border with it.
+function levelBorderObjects(CONFIG, level) {
+  const border = level.border;
+  if (!border) return [];
+  const half = (level.ground?.size ?? CONFIG.PLANE_SIZE) / 2;
+  const y = border.y ?? 0;
+  const entries = [];
+  const add = (x, z) => entries.push({ ...border.object, name: `${border.object.name}${entries.length + 1}`, position: [x, y, z] });
+
+  for (let x = -half; x <= half; x += border.spacing) {
+    add(x, half);
+    add(x, -half);
+  }
+  for (let z = -half + border.spacing; z < half; z += border.spacing) {
+    add(half, z);
+    add(-half, z);
+  }
+  return entries;
+}
+
+// JSON modelOptions (string key into level.models, or inline object) -> spawner modelOptions
+function levelModelOptions(level, modelOptions) {
+  const m = (typeof modelOptions === "string") ? level.models[modelOptions] : modelOptions;
+  if (!m) return null;
+  const scale = (typeof m.scale === "number") ? [m.scale, m.scale, m.scale] : m.scale;
+  return {
+    objPath: m.objPath,
+    mtlPath: m.mtlPath,
+    instanced: m.instanced === true,
+    scale: toVector3(scale, [1, 1, 1]),
+    rotation: toEulerDeg(m.rotationDeg),
+    offset: toVector3(m.offset),
+  };
+}
+
+// JSON compound part -> spawnCompound part
+function levelCompoundPart(part) {
+  return {
+    shape: part.shape,
+    size: part.size ? toVector3(part.size) : null,
+    radius: part.radius,
+    height: part.height,
+    position: toVector3(part.position),
+    rotation: part.rotationDeg ? toEulerDeg(part.rotationDeg) : null,
+  };
+}
+
+// JSON motion -> setPlatformMotion motion
+function levelPlatformMotion(motion) {
+  return {
+    ...motion,
+    path: (motion.path ?? []).map((p) => toVector3(p)),
+    spinAxis: motion.spinAxis ? toVector3(motion.spinAxis) : undefined,
+  };
+}
+
+// The handle keeps its entry (handle.levelEntry) so the editor can rebuild and export it
+function spawnLevelObject(state, CONFIG, level, entry) {
+  const position = toVector3(entry.position);
+  const modelOptions = levelModelOptions(level, entry.modelOptions);
+  const options = {
+    rotation: entry.rotationDeg ? toEulerDeg(entry.rotationDeg) : null,
+    layer: entry.layer,
+    tags: entry.tags,
+    material: entry.material,
+  };
+
+  let spawned;
+  try {
+    if (entry.material) getPhysicsMaterial(CONFIG, entry.material); // before the spawner allocates anything
+    switch (entry.trigger ? "trigger" : entry.collider) {
+      case "trigger": {
+        const shape = { shape: entry.collider, size: entry.size ? toVector3(entry.size) : null, radius: entry.radius, height: entry.height };
+        spawned = Promise.resolve(spawnTrigger(state, CONFIG, position, shape, entry.name, { rotation: options.rotation, layer: entry.layer, ...entry.trigger }));
+        break;
+      }
+      case "box":
+        spawned = spawnBox(state, CONFIG, position, toVector3(entry.size), entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "capsule":
+        spawned = spawnCapsule(state, CONFIG, position, entry.radius, entry.height, entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "sphere":
+        spawned = spawnSphere(state, CONFIG, position, entry.radius, entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "cylinder":
+        spawned = spawnCylinder(state, CONFIG, position, entry.radius, entry.height, entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "cone":
+        spawned = spawnCone(state, CONFIG, position, entry.radius, entry.height, entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "compound":
+        spawned = spawnCompound(state, CONFIG, position, entry.parts.map(levelCompoundPart), entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "hull":
+        spawned = spawnConvexHull(state, CONFIG, position, entry.mass ?? 0, modelOptions, entry.name, options);
+        break;
+      case "trimesh":
+        spawned = spawnStaticTrimesh(state, CONFIG, position, modelOptions, entry.name, options);
+        break;
+      default:
+        return Promise.reject(new Error(`[${entry.name}] unknown collider "${entry.collider}"`));
+    }
+  } catch (err) {
+    // the spawners throw synchronously on bad options (e.g. an unknown material); fail like a bad model does
+    return Promise.reject(err);
+  }
+  return spawned.then((handle) => {
+    if (!handle) return handle;
+    handle.levelEntry = entry;
+    if (entry.motion) setPlatformMotion(state, handle, levelPlatformMotion(entry.motion));
+    return handle;
+  });
+}
+
+// Spawns every object in the level. Resolves once every object (and its model) is in place; one
+// object failing (its model won't load, an unknown material, ...) is logged and skipped rather than aborting startup.
+function spawnEnvironment(state, CONFIG, level) {
+  const objects = level.objects.map((entry, i) =>
+    spawnLevelObject(state, CONFIG, level, entry).catch((err) => {
+      console.warn(`${levelEntryLabel(entry, i)}: ${err.message || err}`);
+      return null;
+    })
+  );
+  const border = levelBorderObjects(CONFIG, level).map((entry) =>
+    spawnLevelObject(state, CONFIG, level, entry).then((handle) => {
+      if (handle) handle.levelEntry = null; // generated from level.border, so the editor leaves it alone
+      return handle;
+    }).catch((err) => {
+      console.warn(`border ("${entry.name}"): ${err.message || err}`);
+      return null;
+    })
+  );
+  return Promise.all([...objects, ...border]);
+}
+
+
+// ------------------------------------------------------------
+// Chunk streaming (level.chunks)
+// ------------------------------------------------------------
+// A level with `chunks: { size, url, list }` streams the rest of the world in around the player. The
+// map is cut into size x size squares; chunk (x, z) covers x * size .. (x + 1) * size on X, and the
+// same on Z. url is a template ("/static/levels/world/{x}_{z}.json") for a chunk file in the level
+// format (ground.terrain, models, objects at world positions); list, if given, names the chunks that
+// exist so nothing else is requested.
+// Chunks within CHUNK_LOAD_DISTANCE of the player are fetched and spawned, chunks beyond
+// CHUNK_UNLOAD_DISTANCE are removed with everything spawned from them. Spawning is spread over
+// frames, CHUNK_SPAWN_BUDGET_MS at a time, so a chunk arriving doesn't stall the frame it lands on.
+// state.chunks: "x,z" -> { x, z, key, status: "loading" | "spawning" | "loaded", level, handles, loaded },
+// where loaded is a promise that resolves once the chunk is spawned (or unloaded before it got there).
+function chunkKey(x, z) {
+  return `${x},${z}`;
+}
+
+// CHUNK_UNLOAD_DISTANCE, unless it isn't beyond CHUNK_LOAD_DISTANCE: then chunks would unload the frame
+// they load (or every time the player crosses the line), so they go a chunk beyond the load distance instead
+function chunkUnloadDistance(state, CONFIG) {
+  if (CONFIG.CHUNK_UNLOAD_DISTANCE > CONFIG.CHUNK_LOAD_DISTANCE) return CONFIG.CHUNK_UNLOAD_DISTANCE;
+  return CONFIG.CHUNK_LOAD_DISTANCE + state.level.chunks.size;
+}
+
+// At start and when either distance is tuned
+function warnChunkDistances(state, CONFIG) {
+  if (!state.level?.chunks || CONFIG.CHUNK_UNLOAD_DISTANCE > CONFIG.CHUNK_LOAD_DISTANCE) return;
+  console.warn(`CHUNK_UNLOAD_DISTANCE (${CONFIG.CHUNK_UNLOAD_DISTANCE}) should be larger than CHUNK_LOAD_DISTANCE ` +
+    `(${CONFIG.CHUNK_LOAD_DISTANCE}); unloading at ${chunkUnloadDistance(state, CONFIG)} instead`);
+}
+
+// Distance on the ground from (px, pz) to the nearest point of chunk (x, z)
+function chunkDistance(size, x, z, px, pz) {
+  const dx = Math.max(x * size - px, 0, px - (x + 1) * size);
+  const dz = Math.max(z * size - pz, 0, pz - (z + 1) * size);
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Starts loading every listed chunk within CHUNK_LOAD_DISTANCE of (px, pz); returns them (loaded or not)
+function requestChunksAround(state, CONFIG, px, pz) {
+  const { size, list } = state.level.chunks;
+  const reach = CONFIG.CHUNK_LOAD_DISTANCE;
+  const listed = list ? (state.chunkList ??= new Set(list.map(([x, z]) => chunkKey(x, z)))) : null;
+  const chunks = [];
+  for (let x = Math.floor((px - reach) / size); x <= Math.floor((px + reach) / size); x++) {
+    for (let z = Math.floor((pz - reach) / size); z <= Math.floor((pz + reach) / size); z++) {
+      const key = chunkKey(x, z);
+      if (listed && !listed.has(key)) continue;
+      if (chunkDistance(size, x, z, px, pz) > reach) continue;
+      chunks.push(state.chunks.get(key) ?? loadChunk(state, CONFIG, x, z));
+    }
+  }
+  return chunks;
+}
+
+function loadChunk(state, CONFIG, x, z) {
+  const key = chunkKey(x, z);
+  const url = state.level.chunks.url.replaceAll("{x}", x).replaceAll("{z}", z);
+  let finish;
+  const chunk = { x, z, key, status: "loading", level: null, handles: new Set(), tasks: 0, spawns: [], fetched: null, pins: 0 };
+  chunk.loaded = new Promise((resolve) => { finish = resolve; });
+  chunk.finish = finish;
+  state.chunks.set(key, chunk);
+
+  chunk.fetched = loadLevel(url).then((level) => {
+    if (state.chunks.get(key) !== chunk) return; // unloaded (or the game was torn down) meanwhile
+    chunk.level = level;
+    chunk.status = "spawning";
+    queueChunkSpawns(state, CONFIG, chunk);
+  }).catch((err) => {
+    console.warn(`chunk ${key}: ${err.message || err}`);
+    if (state.chunks.get(key) === chunk) finishChunk(state, CONFIG, chunk); // an empty chunk, so it isn't retried
+  });
+  return chunk;
 }
 
-function createStaticGroundCollider(state, CONFIG) {
-  const shape = new Ammo.btStaticPlaneShape(new Ammo.btVector3(0, 1, 0), 0);
-  const transform = new Ammo.btTransform();
-  transform.setIdentity();
-  transform.setOrigin(new Ammo.btVector3(0, 0, 0));
-  const motionState = new Ammo.btDefaultMotionState(transform);
-  const rbInfo = new Ammo.btRigidBodyConstructionInfo(0, motionState, shape, new Ammo.btVector3(0, 0, 0));
-  const body = new Ammo.btRigidBody(rbInfo);
-  state.physicsWorld.addRigidBody(body);
-
-  // debug mesh (wireframe)
-  const mesh = new THREE.Mesh(
-    new THREE.BoxGeometry(CONFIG.PLANE_SIZE, 2, CONFIG.PLANE_SIZE),
-    new THREE.MeshBasicMaterial({ wireframe: true })
-  );
-  mesh.position.set(0, 1, 0);
-  mesh.visible = CONFIG.DEBUG_MODE;
-  state.scene.add(mesh);
+// One queued task per terrain/object; the chunk is loaded once the last one has spawned
+function queueChunkSpawns(state, CONFIG, chunk) {
+  const { level, x, z } = chunk;
+  const { size } = state.level.chunks;
+  const models = { ...state.level.models, ...level.models };
+  const run = (spawn) => {
+    state.chunkQueue.push({ chunk, run: spawn });
+    chunk.tasks++;
+  };
 
-  const axes = createAxes(state, CONFIG, 20);
-  state.debugAxes.push({ group: axes, ownerName: "ground" });
+  if (level.ground) {
+    // a ground without terrain is a flat square of terrain, so every chunk's ground is the same kind of object
+    const terrain = { ...levelTerrain(CONFIG, level), ...(level.ground.terrain ? {} : { heights: [[0, 0], [0, 0]] }), size };
+    run(() => spawnTerrain(
+      state, CONFIG, new THREE.Vector3((x + 0.5) * size, 0, (z + 0.5) * size),
+      terrain, `ground_${x}_${z}`, { material: level.ground.material }
+    ));
+  }
+  for (const entry of level.objects) {
+    run(() => spawnLevelObject(state, CONFIG, { ...level, models }, entry).then((handle) => {
+      if (handle) handle.levelEntry = null; // not part of state.level, so the editor leaves it alone
+      return handle;
+    }));
+  }
+  if (!chunk.tasks) finishChunk(state, CONFIG, chunk);
+}
 
-  state.gameObjects.push({ name: "ground", body, mesh, axes });
+function runChunkTask(state, CONFIG, task) {
+  const { chunk } = task;
+  let spawning;
+  try {
+    spawning = task.run(); // run now, not in a microtask, so the frame budget measures it
+  } catch (err) {
+    spawning = Promise.reject(err); // still counts as settled, so the chunk finishes loading
+  }
+  const spawned = spawning.then((handle) => {
+    if (!handle) return;
+    handle.chunk = chunk.key;
+    if (state.chunks.get(chunk.key) !== chunk) removeObject(state, handle); // unloaded while its model loaded
+    else chunk.handles.add(handle);
+  }, (err) => console.warn(`chunk ${chunk.key}: ${err.message || err}`));
+  chunk.spawns.push(spawned);
+  if (chunk.spawns.length === chunk.tasks) {
+    Promise.all(chunk.spawns).then(() => {
+      if (state.chunks.get(chunk.key) === chunk) finishChunk(state, CONFIG, chunk);
+    });
+  }
 }
 
-// Simple obstacle spawner functions
-function createBoxDynamic(state, CONFIG, position, size, mass = 0.001, modelOptions = null, name = "BoxDynamic") {
-  const shape = new Ammo.btBoxShape(new Ammo.btVector3(size.x / 2, size.y / 2, size.z / 2));
-  const transform = new Ammo.btTransform();
-  transform.setIdentity();
-  transform.setOrigin(new Ammo.btVector3(position.x, position.y + size.y / 2, position.z));
-  const motionState = new Ammo.btDefaultMotionState(transform);
-  const localInertia = new Ammo.btVector3(0, 0, 0);
-  shape.calculateLocalInertia(mass, localInertia);
-  const rbInfo = new Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
-  const body = new Ammo.btRigidBody(rbInfo);
+function finishChunk(state, CONFIG, chunk) {
+  chunk.status = "loaded";
+  chunk.spawns = [];
+  runHooks(state, CONFIG, "chunkLoad", chunk);
+  chunk.finish(chunk);
+}
 
-  body.setRestitution(0.1);
-  body.setFriction(1.0);
-  body.setRollingFriction(0.3);
-  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+function unloadChunk(state, CONFIG, chunk) {
+  if (chunk.status === "loaded") runHooks(state, CONFIG, "chunkUnload", chunk);
+  state.chunks.delete(chunk.key);
+  state.chunkQueue = state.chunkQueue.filter((task) => task.chunk !== chunk);
+  for (const handle of chunk.handles) removeObject(state, handle);
+  chunk.handles.clear();
+  chunk.finish(chunk); // nobody waiting on it is left hanging
+}
 
-  state.physicsWorld.addRigidBody(body);
-  body.activate();
+// Once per frame from stepCore(): load what came into range, drop what left it, spawn within the budget
+function updateChunks(state, CONFIG) {
+  if (!state.Player) return;
+  const p = state.playerRenderPosition;
+  requestChunksAround(state, CONFIG, p.x, p.z);
+
+  const { size } = state.level.chunks;
+  const unloadDistance = chunkUnloadDistance(state, CONFIG);
+  for (const chunk of state.chunks.values()) {
+    if (chunk.pins) continue; // loadChunksAround() is waiting on it
+    if (chunkDistance(size, chunk.x, chunk.z, p.x, p.z) > unloadDistance) unloadChunk(state, CONFIG, chunk);
+  }
 
-  const mesh = new THREE.Mesh(
-    new THREE.BoxGeometry(size.x, size.y, size.z),
-    new THREE.MeshBasicMaterial({ color: 0xffff00, wireframe: true })
-  );
-  mesh.position.copy(position);
-  mesh.visible = CONFIG.DEBUG_MODE;
-  state.scene.add(mesh);
+  const start = performance.now();
+  while (state.chunkQueue.length) {
+    runChunkTask(state, CONFIG, state.chunkQueue.shift());
+    if (performance.now() - start >= CONFIG.CHUNK_SPAWN_BUDGET_MS) break;
+  }
+}
 
-  const axes = createAxes(state, CONFIG, 10);
-  state.debugAxes.push({ group: axes, ownerName: name });
-
-  // optional OBJ/MTL “visual”
-  if (modelOptions?.objPath && modelOptions?.mtlPath) {
-    const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
-    const scale = modelOptions.scale || new THREE.Vector3(1, 1, 1);
-    const rotationEuler = modelOptions.rotation || new THREE.Euler(0, 0, 0);
-    const rotationOffsetQuat = new THREE.Quaternion().setFromEuler(rotationEuler);
-
-    state.sharedMtlLoader.load(modelOptions.mtlPath, (materials) => {
-      materials.preload();
-      const objLoader = new OBJLoader();
-      objLoader.setMaterials(materials);
-      objLoader.load(modelOptions.objPath, (object) => {
-        object.position.copy(position.clone().add(offset));
-        object.scale.copy(scale);
-        state.scene.add(object);
-
-        state.gameObjects.push({
-          name, body, mesh,
-          visual: object,
-          visualOffset: offset,
-          visualRotationOffset: rotationOffsetQuat,
-          axes
-        });
-      });
-    });
-  } else {
-    state.gameObjects.push({ name, body, mesh, axes });
+// Loads the chunks around a position right away (no frame budget) and resolves once they're in, e.g.
+// before teleporting the player somewhere that hasn't streamed in yet: they aren't unloaded while this
+// waits, so move the player as soon as it resolves. startCore() does this for the start position.
+export async function loadChunksAround(state, CONFIG, position) {
+  if (!state.level?.chunks) return [];
+  const chunks = requestChunksAround(state, CONFIG, position.x, position.z);
+  for (const chunk of chunks) chunk.pins++;
+  try {
+    await Promise.all(chunks.map((chunk) => chunk.fetched));
+    for (const task of state.chunkQueue.filter((t) => chunks.includes(t.chunk))) {
+      state.chunkQueue.splice(state.chunkQueue.indexOf(task), 1);
+      runChunkTask(state, CONFIG, task);
+    }
+    return await Promise.all(chunks.map((chunk) => chunk.loaded));
+  } finally {
+    for (const chunk of chunks) chunk.pins--;
   }
 }
 
 // ------------------------------------------------------------
-// Capsule obstacle (used for surrounding rock wall)
+// Level editor (toggled from the debug UI)
 // ------------------------------------------------------------
-function createCapsuleObstacle(state, CONFIG, position, radius, height, mass = 0, modelOptions = null, name = "Capsule") {
-  const shape = new Ammo.btCapsuleShape(radius, height - 2 * radius);
+// Editor mode pauses the simulation (stepCore only syncs, renders and runs the render hooks), swaps
+// the follow camera for an orbit camera, and edits the level's object entries. Every edit rewrites the
+// entry and respawns the object from it, so what you see is exactly what exportLevel() writes out.
+// Only objects that came from the level (or were spawned by the editor) have an entry and can be edited.
+function createEditor(state, CONFIG) {
+  const canvas = state.renderer.domElement;
 
-  const transform = new Ammo.btTransform();
-  transform.setIdentity();
-  // Capsule origin is center; your original rocks use y=-30 and should be centered there
-  transform.setOrigin(new Ammo.btVector3(position.x, position.y, position.z));
+  const orbit = new OrbitControls(state.camera, canvas);
+  orbit.enabled = false;
+
+  const gizmo = new TransformControls(state.camera, canvas);
+  gizmo.enabled = false;
+  gizmo.visible = false;
+  state.scene.add(gizmo);
+
+  // The gizmo drives this stand-in; the real object is rebuilt from its entry when a drag ends
+  const pivot = new THREE.Object3D();
+  state.scene.add(pivot);
+
+  const editor = {
+    active: false,
+    orbit,
+    gizmo,
+    pivot,
+    selected: null,
+    raycaster: new THREE.Raycaster(),
+    pointerDown: null,
+    pivotStart: new THREE.Matrix4(), // pivot pose when the current drag started
+    previewStart: [],                // [object3D, matrix] for the selected object's meshes at drag start
+    previewInstanceStart: null,      // the selected object's instance matrix at drag start (instanced models)
+    models: [],                      // [{ name, objPath, mtlPath }] from /api/models
+    ui: null,
+  };
+  state.editor = editor;
 
-  const motionState = new Ammo.btDefaultMotionState(transform);
+  gizmo.addEventListener("dragging-changed", (e) => {
+    orbit.enabled = editor.active && !e.value;
+    if (e.value) beginEditorDrag(state);
+    else commitEditorDrag(state, CONFIG);
+  });
+  gizmo.addEventListener("objectChange", () => previewEditorDrag(state));
 
-  const localInertia = new Ammo.btVector3(0, 0, 0);
-  if (mass > 0) shape.calculateLocalInertia(mass, localInertia);
+  listen(state, canvas, "pointerdown", (e) => {
+    if (!editor.active || e.button !== 0) return;
+    // a press on a gizmo handle is a drag, not a selection
+    editor.pointerDown = gizmo.axis ? null : { x: e.clientX, y: e.clientY };
+  });
+  listen(state, canvas, "pointerup", (e) => {
+    const down = editor.pointerDown;
+    editor.pointerDown = null;
+    if (!editor.active || !down) return;
+    if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return; // orbit drag
+    selectEditorObject(state, pickEditorObject(state, CONFIG, e.clientX, e.clientY));
+  });
 
-  const rbInfo = new Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
-  const body = new Ammo.btRigidBody(rbInfo);
+  listen(state, window, "keydown", (e) => {
+    if (!editor.active || isTypingTarget(e.target)) return;
+    if (e.code === "KeyW") gizmo.setMode("translate");
+    else if (e.code === "KeyE") gizmo.setMode("rotate");
+    else if (e.code === "KeyR") gizmo.setMode("scale");
+    else if (e.code === "Escape") selectEditorObject(state, null);
+    else if (e.code === "Delete" || e.code === "Backspace") deleteEditorSelection(state);
+    else return;
+    updateEditorUI(state);
+  });
 
-  body.setFriction(1.0);
-  body.setRestitution(0.1);
-  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+  loadEditorModelList(state);
+  return editor;
+}
 
-  state.physicsWorld.addRigidBody(body);
-  body.activate();
+export function setEditorMode(state, CONFIG, on) {
+  // needs the canvas and a loaded level (i.e. startCore() has finished)
+  if (CONFIG.HEADLESS || !state.renderer || !state.level) on = false;
+  if (state.editorUiCheckbox) state.editorUiCheckbox.checked = on;
+  if (!on && !state.editor) return;
+
+  const editor = state.editor || createEditor(state, CONFIG);
+  if (editor.active === on) return;
+  editor.active = on;
+
+  if (on) {
+    if (document.pointerLockElement === state.renderer.domElement) document.exitPointerLock?.();
+    // platforms go back to their start, which is what the level entry (and the gizmo) describes
+    for (const handle of state.platforms.values()) placePlatform(state, handle, 0);
+    editor.orbit.target.copy(state.playerRenderPosition);
+    editor.orbit.update();
+  } else {
+    selectEditorObject(state, null);
+    // don't make the physics catch up on the time spent editing
+    state.physicsAccumulator = 0;
+  }
+  editor.orbit.enabled = on;
+  updateEditorUI(state);
+}
 
-  // debug collider mesh
-  const mesh = new THREE.Mesh(
-    new THREE.CapsuleGeometry(radius, height - 2 * radius, 8, 16),
-    new THREE.MeshBasicMaterial({ wireframe: true })
+// Paused frame: keep meshes on their (possibly respawned) bodies, except while the gizmo previews a drag
+function stepEditor(state, CONFIG) {
+  if (!state.editor.gizmo.dragging) syncVisualsFromPhysics(state, CONFIG, 1);
+  state.editor.orbit.update();
+}
+
+function disposeEditor(state) {
+  const editor = state.editor;
+  if (!editor) return;
+  editor.gizmo.detach();
+  editor.gizmo.dispose();
+  editor.orbit.dispose();
+}
+
+function editorObjectRoots(handle, CONFIG) {
+  // a hidden debug mesh still counts when it's the only thing there is to click
+  return [handle.visual, (CONFIG.DEBUG_MODE || !handle.visual) ? handle.debugMesh : null].filter(Boolean);
+}
+
+function pickEditorObject(state, CONFIG, clientX, clientY) {
+  const rect = state.renderer.domElement.getBoundingClientRect();
+  const ndc = new THREE.Vector2(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
   );
-  mesh.position.copy(position);
-  mesh.visible = CONFIG.DEBUG_MODE;
-  state.scene.add(mesh);
+  const raycaster = state.editor.raycaster;
+  raycaster.setFromCamera(ndc, state.camera);
+
+  let best = null;
+  for (const handle of state.gameObjects) {
+    if (!handle.levelEntry) continue;
+    const hits = raycaster.intersectObjects(editorObjectRoots(handle, CONFIG), true);
+    if (hits.length && (!best || hits[0].distance < best.distance)) best = { handle, distance: hits[0].distance };
+  }
+  return best ? best.handle : null;
+}
 
-  const axes = createAxes(state, CONFIG, 10);
-  axes.position.copy(position);
-  axes.visible = CONFIG.DEBUG_MODE;
-
-  // optional visual from OBJ/MTL
-  if (modelOptions?.objPath && modelOptions?.mtlPath) {
-    const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
-    const scale = modelOptions.scale || new THREE.Vector3(1, 1, 1);
-    const rotationEuler = modelOptions.rotation || new THREE.Euler(0, 0, 0);
-    const rotationOffsetQuat = new THREE.Quaternion().setFromEuler(rotationEuler);
-
-    state.sharedMtlLoader.load(modelOptions.mtlPath, (materials) => {
-      materials.preload();
-      const objLoader = new OBJLoader();
-      objLoader.setMaterials(materials);
-
-      objLoader.load(modelOptions.objPath, (object) => {
-        object.position.copy(position.clone().add(offset));
-        object.scale.copy(scale);
-        object.rotation.copy(rotationEuler);
-        state.scene.add(object);
-
-        state.gameObjects.push({
-          name, body, mesh,
-          visual: object,
-          visualOffset: offset,
-          visualRotationOffset: rotationOffsetQuat,
-          axes
-        });
-      });
-    });
+function selectEditorObject(state, handle) {
+  const editor = state.editor;
+  editor.selected = handle;
+  if (!handle) {
+    editor.gizmo.detach();
+    editor.gizmo.visible = false;
+    editor.gizmo.enabled = false;
   } else {
-    state.gameObjects.push({ name, body, mesh, axes });
+    syncLevelEntryFromBody(handle);
+    placeEditorPivot(state, handle);
+    editor.gizmo.attach(editor.pivot);
+    editor.gizmo.visible = true;
+    editor.gizmo.enabled = true;
   }
-
-  return body;
+  updateEditorUI(state);
 }
 
-// ------------------------------------------------------------
-// Static trimesh collider from OBJ/MTL (concave-safe static)
-// ------------------------------------------------------------
-function createStaticTrimeshObstacleFromObjMtl(state, CONFIG, position, modelOptions, name = "StaticTrimesh") {
-  const objPath = modelOptions?.objPath;
-  const mtlPath = modelOptions?.mtlPath;
-  if (!objPath || !mtlPath) {
-    console.warn(`[${name}] Missing objPath/mtlPath`);
-    return;
+// Pivot pose per collider: box = body center, other primitives/compound = their position (center or
+// origin), hull = the model's origin, trimesh = its position with the model's rotation (so scaling acts
+// on the model's own axes)
+function placeEditorPivot(state, handle) {
+  const { pivot } = state.editor;
+  const entry = handle.levelEntry;
+  pivot.position.fromArray(entry.position);
+  pivot.scale.set(1, 1, 1);
+
+  if (entry.collider === "trimesh") {
+    const m = levelModelOptions(state.level, entry.modelOptions);
+    pivot.quaternion.setFromEuler(m.rotation);
+  } else {
+    pivot.quaternion.setFromEuler(toEulerDeg(entry.rotationDeg));
+    if (levelEntryIsBottomAnchored(entry)) pivot.position.y += entry.size[1] / 2;
   }
+  pivot.updateMatrixWorld(true);
+}
 
-  const scale = modelOptions.scale || new THREE.Vector3(1, 1, 1);
-  const rotation = modelOptions.rotation || new THREE.Euler(0, 0, 0);
-  const offset = modelOptions.offset || new THREE.Vector3(0, 0, 0);
-
-  // Visual position matches your original: position + offset :contentReference[oaicite:3]{index=3}
-  const visualPos = position.clone().add(offset);
+function beginEditorDrag(state) {
+  const editor = state.editor;
+  editor.pivot.updateMatrixWorld(true);
+  editor.pivotStart.copy(editor.pivot.matrixWorld);
+  const h = editor.selected;
+  editor.previewStart = [h.visual, h.debugMesh, h.axes]
+    .filter(Boolean)
+    .map((o) => { o.updateMatrixWorld(true); return [o, o.matrixWorld.clone()]; });
+  editor.previewInstanceStart = h.instance ? h.instance.root.clone() : null;
+}
 
-  state.sharedMtlLoader.load(mtlPath, (materials) => {
-    materials.preload();
-    const objLoader = new OBJLoader();
-    objLoader.setMaterials(materials);
+// Moves the selected object's meshes along with the pivot (the body stays put until the drag ends)
+function previewEditorDrag(state) {
+  const editor = state.editor;
+  if (!editor.previewStart.length) return;
+  editor.pivot.updateMatrixWorld(true);
+  const delta = editor.pivot.matrixWorld.clone().multiply(editor.pivotStart.clone().invert());
+  for (const [o, start] of editor.previewStart) {
+    new THREE.Matrix4().multiplyMatrices(delta, start).decompose(o.position, o.quaternion, o.scale);
+  }
+  if (editor.previewInstanceStart && editor.selected.instance) {
+    setModelInstanceRoot(editor.selected, delta.multiply(editor.previewInstanceStart));
+    flushInstanceBatches(state);
+  }
+}
 
-    objLoader.load(objPath, (object) => {
-      object.name = `${name}_visual`;
-      object.position.copy(visualPos);
-      object.scale.copy(scale);
-      object.rotation.copy(rotation);
-      object.updateMatrixWorld(true);
-      state.scene.add(object);
-
-      // Build Ammo triangle mesh from the loaded THREE object (world-space triangles)
-      const triMesh = new Ammo.btTriangleMesh(true, true);
-
-      const addGeomToTriMesh = (geom) => {
-        const pos = geom.attributes.position;
-        if (!pos) return;
-
-        const idx = geom.index ? geom.index.array : null;
-
-        const a = new THREE.Vector3();
-        const b = new THREE.Vector3();
-        const c = new THREE.Vector3();
-
-        const readVertex = (i, out) => out.set(pos.getX(i), pos.getY(i), pos.getZ(i));
-
-        if (idx) {
-          for (let i = 0; i < idx.length; i += 3) {
-            readVertex(idx[i], a);
-            readVertex(idx[i + 1], b);
-            readVertex(idx[i + 2], c);
-
-            const va = new Ammo.btVector3(a.x, a.y, a.z);
-            const vb = new Ammo.btVector3(b.x, b.y, b.z);
-            const vc = new Ammo.btVector3(c.x, c.y, c.z);
-            triMesh.addTriangle(va, vb, vc, true);
-            Ammo.destroy(va); Ammo.destroy(vb); Ammo.destroy(vc);
-          }
-        } else {
-          for (let i = 0; i < pos.count; i += 3) {
-            a.set(pos.getX(i), pos.getY(i), pos.getZ(i));
-            b.set(pos.getX(i + 1), pos.getY(i + 1), pos.getZ(i + 1));
-            c.set(pos.getX(i + 2), pos.getY(i + 2), pos.getZ(i + 2));
-
-            const va = new Ammo.btVector3(a.x, a.y, a.z);
-            const vb = new Ammo.btVector3(b.x, b.y, b.z);
-            const vc = new Ammo.btVector3(c.x, c.y, c.z);
-            triMesh.addTriangle(va, vb, vc, true);
-            Ammo.destroy(va); Ammo.destroy(vb); Ammo.destroy(vc);
-          }
+function commitEditorDrag(state, CONFIG) {
+  const editor = state.editor;
+  const handle = editor.selected;
+  editor.previewStart = [];
+  editor.previewInstanceStart = null;
+  if (!handle) return;
+
+  const entry = handle.levelEntry;
+  const { pivot } = editor;
+  const s = pivot.scale;
+  const round = (v) => Math.round(v * 1000) / 1000;
+  const eulerDeg = (q) => new THREE.Euler().setFromQuaternion(q).toArray().slice(0, 3).map((r) => round(THREE.MathUtils.radToDeg(r)));
+
+  if (entry.collider === "trimesh") {
+    // position + offset stays glued to the model: offset turns/scales with the pivot
+    const delta = pivot.matrixWorld.clone().multiply(editor.pivotStart.clone().invert());
+    const m = (typeof entry.modelOptions === "string") ? state.level.models[entry.modelOptions] : entry.modelOptions;
+    const scale = (typeof m.scale === "number") ? [m.scale, m.scale, m.scale] : (m.scale ?? [1, 1, 1]);
+    const offset = new THREE.Vector3(...(m.offset ?? [0, 0, 0])).applyMatrix3(new THREE.Matrix3().setFromMatrix4(delta));
+    entry.position = pivot.position.toArray().map(round);
+    // edits are per object, so a shared model is copied inline first
+    entry.modelOptions = {
+      ...m,
+      scale: scale.map((v, i) => round(v * s.getComponent(i))),
+      rotationDeg: eulerDeg(pivot.quaternion),
+      offset: offset.toArray().map(round),
+    };
+  } else {
+    if (entry.collider === "box") {
+      scaleLevelPrimitive(entry, "box", s, round);
+      const bottom = levelEntryIsBottomAnchored(entry) ? entry.size[1] / 2 : 0;
+      entry.position = [pivot.position.x, pivot.position.y - bottom, pivot.position.z].map(round);
+    } else {
+      if (entry.collider === "hull") {
+        // the model is scaled in place around its origin (exact unless it's rotated inside the body)
+        const m = (typeof entry.modelOptions === "string") ? state.level.models[entry.modelOptions] : entry.modelOptions;
+        const scale = (typeof m.scale === "number") ? [m.scale, m.scale, m.scale] : (m.scale ?? [1, 1, 1]);
+        entry.modelOptions = {
+          ...m,
+          scale: scale.map((v, i) => round(v * s.getComponent(i))),
+          offset: (m.offset ?? [0, 0, 0]).map((v, i) => round(v * s.getComponent(i))),
+        };
+      } else if (entry.collider === "compound") {
+        for (const part of entry.parts) {
+          scaleLevelPrimitive(part, part.shape, s, round);
+          if (part.position) part.position = part.position.map((v, i) => round(v * s.getComponent(i)));
         }
-      };
+      } else {
+        scaleLevelPrimitive(entry, entry.collider, s, round);
+      }
+      entry.position = pivot.position.toArray().map(round);
+    }
+    entry.rotationDeg = eulerDeg(pivot.quaternion);
+  }
 
-      object.traverse((child) => {
-        if (!child.isMesh || !child.geometry) return;
+  respawnLevelObject(state, CONFIG, handle);
+}
 
-        // Clone geometry and bake child's WORLD transform into vertices
-        const geom = child.geometry.clone();
-        geom.applyMatrix4(child.matrixWorld);
-        addGeomToTriMesh(geom);
-      });
+// Gizmo scale -> primitive dimensions (round shapes stay round: the radius takes the larger side scale)
+function scaleLevelPrimitive(e, shape, s, round) {
+  if (shape === "box") {
+    e.size = e.size.map((v, i) => round(v * s.getComponent(i)));
+  } else if (shape === "sphere") {
+    e.radius = round(e.radius * Math.max(s.x, s.y, s.z));
+  } else {
+    e.radius = round(e.radius * Math.max(s.x, s.z));
+    e.height = round(e.height * s.y);
+    if (shape === "capsule") e.height = Math.max(e.height, 2 * e.radius);
+  }
+}
 
-      const useQuantizedAabbCompression = true;
-      const buildBvh = true;
-      const shape = new Ammo.btBvhTriangleMeshShape(triMesh, useQuantizedAabbCompression, buildBvh);
-      shape.setMargin(0.02);
-
-      // Static body at identity (triangles already in world space)
-      const transform = new Ammo.btTransform();
-      transform.setIdentity();
-      transform.setOrigin(new Ammo.btVector3(0, 0, 0));
-      transform.setRotation(new Ammo.btQuaternion(0, 0, 0, 1));
-
-      const motionState = new Ammo.btDefaultMotionState(transform);
-      const rbInfo = new Ammo.btRigidBodyConstructionInfo(0, motionState, shape, new Ammo.btVector3(0, 0, 0));
-      const body = new Ammo.btRigidBody(rbInfo);
-      state.physicsWorld.addRigidBody(body);
-
-      // Debug wireframe group (debug-only)
-      const wfGroup = new THREE.Group();
-      object.traverse((child) => {
-        if (!child.isMesh || !child.geometry) return;
-        const wf = new THREE.WireframeGeometry(child.geometry);
-        const wfMat = new THREE.LineBasicMaterial({ color: 0xffffff });
-        const wfLines = new THREE.LineSegments(wf, wfMat);
-        wfLines.applyMatrix4(child.matrixWorld);
-        wfGroup.add(wfLines);
-      });
-      wfGroup.visible = CONFIG.DEBUG_MODE;
-      state.scene.add(wfGroup);
+// Replaces a level object with a fresh spawn from its (edited) entry
+function respawnLevelObject(state, CONFIG, handle) {
+  const entry = handle.levelEntry;
+  const wasSelected = state.editor?.selected === handle;
+  removeObject(state, handle);
+  if (wasSelected) selectEditorObject(state, null);
+
+  return spawnLevelObject(state, CONFIG, state.level, entry)
+    .then((fresh) => {
+      if (fresh && wasSelected && state.editor?.active) selectEditorObject(state, fresh);
+      return fresh;
+    })
+    .catch((err) => console.warn(`[${entry.name}] ${err.message || err}`));
+}
 
-      const axes = createAxes(state, CONFIG, 10);
-      axes.position.copy(position);
-      axes.visible = CONFIG.DEBUG_MODE;
+function deleteEditorSelection(state) {
+  const handle = state.editor.selected;
+  if (!handle) return;
+  selectEditorObject(state, null);
+  const i = state.level.objects.indexOf(handle.levelEntry);
+  if (i !== -1) state.level.objects.splice(i, 1);
+  removeObject(state, handle);
+}
 
-      state.staticTrimeshDebug.push({ mesh: wfGroup, axes });
+// Also skips names of spawned objects that aren't level entries (border, chunks)
+function uniqueLevelName(state, base) {
+  const names = new Set([...state.level.objects, ...state.gameObjects].map((o) => o.name));
+  let n = 1;
+  while (names.has(`${base}${n}`)) n++;
+  return `${base}${n}`;
+}
 
-      console.log(`[${name}] trimesh collider created`);
-    });
-  });
+// Where the camera looks at the ground (or the orbit target if it looks at the sky)
+function editorSpawnPoint(state, CONFIG) {
+  const ray = new THREE.Ray(state.camera.position, state.camera.getWorldDirection(new THREE.Vector3()));
+  const hit = ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+  const p = hit && hit.distanceTo(state.camera.position) < 2000 ? hit : state.editor.orbit.target.clone().setY(0);
+  if (state.terrains.size) p.y = getGroundHeight(state, CONFIG, p.x, p.z); // on the terrain, not under it
+  return p.toArray().map((v) => Math.round(v * 100) / 100);
 }
 
+// kind: a primitive shape | a model name from the /api/models list (spawned as a static trimesh)
+function spawnEditorObject(state, CONFIG, kind) {
+  const level = state.level;
+  const position = editorSpawnPoint(state, CONFIG);
+  let entry;
+
+  if (kind === "box") {
+    entry = { name: uniqueLevelName(state, "box"), collider: "box", position, size: [5, 5, 5], mass: 0 };
+  } else if (kind === "capsule") {
+    position[1] += 6;
+    entry = { name: uniqueLevelName(state, "capsule"), collider: "capsule", position, radius: 3, height: 12, mass: 0 };
+  } else if (kind === "sphere") {
+    position[1] += 3;
+    entry = { name: uniqueLevelName(state, "sphere"), collider: "sphere", position, radius: 3, mass: 0 };
+  } else if (kind === "cylinder" || kind === "cone") {
+    position[1] += 4;
+    entry = { name: uniqueLevelName(state, kind), collider: kind, position, radius: 3, height: 8, mass: 0 };
+  } else {
+    const model = state.editor.models.find((m) => m.name === kind);
+    if (!model) return;
+    level.models ??= {};
+    if (!level.models[model.name]) {
+      level.models[model.name] = { objPath: model.objPath, mtlPath: model.mtlPath, scale: [1, 1, 1], rotationDeg: [0, 0, 0], offset: [0, 0, 0] };
+    }
+    entry = { name: uniqueLevelName(state, model.name), collider: "trimesh", position, modelOptions: model.name };
+  }
 
-function spawnEnvironment(state, CONFIG) {
-  // Crates (what you already had)
-  const crateOpts = {
-    objPath: "/static/models/crate/tinker.obj",
-    mtlPath: "/static/models/crate/obj.mtl",
-    scale: new THREE.Vector3(1, 1, 1),
-    rotation: new THREE.Euler(-Math.PI / 2, 0, 0),
-    offset: new THREE.Vector3(-6, -2.5, -8),
-  };
+  level.objects.push(entry);
+  spawnLevelObject(state, CONFIG, level, entry)
+    .then((handle) => { if (handle && state.editor.active) selectEditorObject(state, handle); })
+    .catch((err) => console.warn(`[${entry.name}] ${err.message || err}`));
+}
 
-  createBoxDynamic(state, CONFIG, new THREE.Vector3(-90, 0, 25), new THREE.Vector3(5, 5, 5), 1.011, crateOpts, "crate1");
-  createBoxDynamic(state, CONFIG, new THREE.Vector3( 90, 0, 25), new THREE.Vector3(5, 5, 5), 1.011, crateOpts, "crate2");
-
-  // -------------------------
-  // Buildings (static trimesh)
-  // -------------------------
-  const skyScraperOpts = {
-    objPath: "/static/models/skyScraper/tinker.obj",
-    mtlPath: "/static/models/skyScraper/obj.mtl",
-    scale: new THREE.Vector3(0.3, 0.3, 0.3),
-    rotation: new THREE.Euler(Math.PI / 2, Math.PI, Math.PI),
-    offset: new THREE.Vector3(-1, 0, 0),
-  };
+// A box's position is its bottom face (see spawnBox); a box trigger's is its center (see spawnTrigger)
+function levelEntryIsBottomAnchored(entry) {
+  return entry.collider === "box" && !entry.trigger;
+}
 
-  const skyScraper2Opts = {
-    objPath: "/static/models/skyScraper2/tinker.obj",
-    mtlPath: "/static/models/skyScraper2/obj.mtl",
-    scale: new THREE.Vector3(1.5, 1.5, 1.5),
-    rotation: new THREE.Euler(Math.PI / 2, Math.PI, Math.PI),
-    offset: new THREE.Vector3(-1, 0, 0),
-  };
+// Dynamic bodies may have moved since they were spawned; bring the entry up to date with the body
+function syncLevelEntryFromBody(handle) {
+  const entry = handle.levelEntry;
+  if (!entry || handle.bakedTransform || !handle.body || handle.platform) return; // platforms keep their start
+  const t = new Ammo.btTransform();
+  handle.body.getMotionState().getWorldTransform(t);
+  const o = t.getOrigin();
+  const r = t.getRotation();
+  const q = new THREE.Quaternion(r.x(), r.y(), r.z(), r.w());
+  Ammo.destroy(t);
+
+  const round = (v) => Math.round(v * 1000) / 1000;
+  const pos = [o.x(), o.y(), o.z()];
+  if (levelEntryIsBottomAnchored(entry)) pos[1] -= entry.size[1] / 2;
+  if (handle.bodyOffset) {
+    const offset = handle.bodyOffset.clone().applyQuaternion(q);
+    pos[0] -= offset.x; pos[1] -= offset.y; pos[2] -= offset.z;
+  }
+  entry.position = pos.map(round);
+  const deg = new THREE.Euler().setFromQuaternion(q).toArray().slice(0, 3).map((v) => round(THREE.MathUtils.radToDeg(v)));
+  if (deg.some((v) => v !== 0) || entry.rotationDeg) entry.rotationDeg = deg;
+}
 
-  createStaticTrimeshObstacleFromObjMtl(state, CONFIG, new THREE.Vector3(   0, 0, -100), skyScraper2Opts, "skyScraper1");
-  createStaticTrimeshObstacleFromObjMtl(state, CONFIG, new THREE.Vector3(-120, 0, -100), skyScraperOpts,  "skyScraper2");
-  createStaticTrimeshObstacleFromObjMtl(state, CONFIG, new THREE.Vector3( 120, 0, -100), skyScraperOpts,  "skyScraper3");
-
-  // -------------------------
-  // Rock wall border
-  // -------------------------
-  const rockOpts = {
-    objPath: "/static/models/rock/tinker.obj",
-    mtlPath: "/static/models/rock/obj.mtl",
-    scale: new THREE.Vector3(0.9, 0.9, 0.9),
-    rotation: new THREE.Euler(0, Math.PI / 2, Math.PI / 2),
-    offset: new THREE.Vector3(-30, 28, -4),
-  };
+// The current level (including editor changes) as a plain JSON-ready object
+export function exportLevel(state) {
+  for (const handle of state.gameObjects) syncLevelEntryFromBody(handle);
+  return JSON.parse(JSON.stringify(state.level));
+}
 
-  const addRock = (pos, r = 30, h = 60, name) =>
-    createCapsuleObstacle(state, CONFIG, pos, r, h, 0, rockOpts, name);
+function downloadLevel(state) {
+  const level = exportLevel(state);
+  const problems = validateLevel(level);
+  if (problems.length) console.warn(`Exported level has problems:\n  ${problems.join("\n  ")}`);
+
+  const blob = new Blob([JSON.stringify(level, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `${(level.name || "level").replace(/[^\w-]+/g, "_").toLowerCase()}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// Model folders the server can see (see /api/models in main.py)
+function loadEditorModelList(state) {
+  const editor = state.editor;
+  fetch("/api/models")
+    .then((res) => (res.ok ? res.json() : []))
+    .catch(() => [])
+    .then((models) => {
+      if (state.editor !== editor) return;
+      editor.models = models;
+      updateEditorUI(state);
+    });
+}
 
-  let rockCounter = 1000;
-  const rockSpacing = 50;
+function createEditorUI(state, CONFIG, ui) {
+  const tools = ui.querySelector("#editor-tools");
+  const modelSelect = tools.querySelector("#editor-model");
 
-  const half = CONFIG.PLANE_SIZE / 2;
+  const on = (sel, fn) => listen(state, tools.querySelector(sel), "click", (e) => {
+    e.preventDefault();
+    e.currentTarget.blur();
+    fn();
+    updateEditorUI(state);
+  });
+  on("#editor-translate", () => state.editor.gizmo.setMode("translate"));
+  on("#editor-rotate", () => state.editor.gizmo.setMode("rotate"));
+  on("#editor-scale", () => state.editor.gizmo.setMode("scale"));
+  on("#editor-delete", () => deleteEditorSelection(state));
+  on("#editor-add-box", () => spawnEditorObject(state, CONFIG, "box"));
+  on("#editor-add-capsule", () => spawnEditorObject(state, CONFIG, "capsule"));
+  on("#editor-add-sphere", () => spawnEditorObject(state, CONFIG, "sphere"));
+  on("#editor-add-cylinder", () => spawnEditorObject(state, CONFIG, "cylinder"));
+  on("#editor-add-cone", () => spawnEditorObject(state, CONFIG, "cone"));
+  on("#editor-add-model", () => modelSelect.value && spawnEditorObject(state, CONFIG, modelSelect.value));
+  on("#editor-export", () => downloadLevel(state));
+
+  state.editorUi = tools;
+}
 
-  for (let x = -half; x <= half; x += rockSpacing) {
-    addRock(new THREE.Vector3(x, -30,  half), 30, 60, `rock${rockCounter++}`);
-    addRock(new THREE.Vector3(x, -30, -half), 30, 60, `rock${rockCounter++}`);
+function updateEditorUI(state) {
+  const tools = state.editorUi;
+  const editor = state.editor;
+  if (!tools || !editor) return;
+
+  tools.style.display = editor.active ? "" : "none";
+  const selected = editor.selected;
+  tools.querySelector("#editor-selection").textContent = selected
+    ? `${selected.name} (${selected.levelEntry.collider})`
+    : "Click an object to select it";
+  tools.querySelector("#editor-delete").disabled = !selected;
+  for (const mode of ["translate", "rotate", "scale"]) {
+    tools.querySelector(`#editor-${mode}`).classList.toggle("active", editor.gizmo.mode === mode);
   }
-  for (let z = -half + rockSpacing; z < half; z += rockSpacing) {
-    addRock(new THREE.Vector3( half, -30, z), 30, 60, `rock${rockCounter++}`);
-    addRock(new THREE.Vector3(-half, -30, z), 30, 60, `rock${rockCounter++}`);
+
+  const select = tools.querySelector("#editor-model");
+  if (select.options.length !== editor.models.length) {
+    select.replaceChildren(...editor.models.map((m) => new Option(m.name, m.name)));
   }
 }
 
@@ -705,36 +5183,17 @@ function spawnEnvironment(state, CONFIG) {
 // ------------------------------------------------------------
 // Player (capsule body + FBX visual + animations)
 // ------------------------------------------------------------
-async function createPlayer(state, CONFIG, position) {
-  const shape = new Ammo.btCapsuleShape(
-    CONFIG.PLAYER_RADIUS,
-    CONFIG.PLAYER_HEIGHT - 2 * CONFIG.PLAYER_RADIUS
-  );
-  const transform = new Ammo.btTransform();
-  transform.setIdentity();
-  transform.setOrigin(new Ammo.btVector3(position.x, position.y + CONFIG.PLAYER_HEIGHT / 2, position.z));
-
+async function createPlayer(state, CONFIG, position, yawDeg) {
   // Apply starting yaw (same behavior you already implemented) :contentReference[oaicite:5]{index=5}
-  const yawRad = THREE.MathUtils.degToRad(CONFIG.PLAYER_STARTING_YAW_DEG);
-  const startRot = new Ammo.btQuaternion(0, Math.sin(yawRad / 2), 0, Math.cos(yawRad / 2));
-  transform.setRotation(startRot);
-
-  const motionState = new Ammo.btDefaultMotionState(transform);
-  const localInertia = new Ammo.btVector3(0, 0, 0);
-  shape.calculateLocalInertia(CONFIG.PLAYER_MASS, localInertia);
-
-  const rbInfo = new Ammo.btRigidBodyConstructionInfo(CONFIG.PLAYER_MASS, motionState, shape, localInertia);
-  const body = new Ammo.btRigidBody(rbInfo);
-
-  body.setRestitution(0);
-  body.setFriction(CONFIG.PLAYER_DEFAULT_FRICTION);
-  body.setDamping(0.2, 0.98);
-  body.setAngularFactor(new Ammo.btVector3(0, 0, 0));
-  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
-
-  state.physicsWorld.addRigidBody(body);
-  state.Player = body;
-  state.playerPtr = Ammo.getPointer(body);
+  const yawRad = THREE.MathUtils.degToRad(yawDeg);
+  const startRot = new THREE.Quaternion(0, Math.sin(yawRad / 2), 0, Math.cos(yawRad / 2));
+
+  createPlayerBody(
+    state,
+    CONFIG,
+    new THREE.Vector3(position.x, position.y + CONFIG.PLAYER_HEIGHT / 2, position.z),
+    startRot
+  );
 
   // debug capsule mesh
   state.playerDebugMesh = new THREE.Mesh(
@@ -748,10 +5207,13 @@ async function createPlayer(state, CONFIG, position) {
   state.debugAxes.push({ group: playerAxes, ownerName: "player" });
   state.Player.__axes = playerAxes;
 
-  // FBX visual + anims
-  const fbxLoader = new FBXLoader();
+  // Headless: no FBX visual or mixer; updatePlayerAnimationState still tracks playerCurrentState
+  if (CONFIG.HEADLESS) return;
 
-  const idleObj = await loadFBX(fbxLoader, CONFIG.PLAYER_FBX_IDLE);
+  // FBX visual + anims
+  const scene = state.scene;
+  const idleObj = await loadFBX(state, CONFIG.PLAYER_FBX_IDLE);
+  if (loadIsStale(state, scene, idleObj)) return;
   idleObj.scale.copy(CONFIG.PLAYER_MODEL_SCALE);
   idleObj.rotation.copy(CONFIG.PLAYER_MODEL_ROTATION);
   idleObj.traverse((c) => {
@@ -769,10 +5231,11 @@ async function createPlayer(state, CONFIG, position) {
   const idleClip = (idleObj.animations && idleObj.animations.length > 0) ? idleObj.animations[0] : null;
 
   const [moveClip, inAirClip, climbClip] = await Promise.all([
-    loadFirstClipFromFBX(fbxLoader, CONFIG.PLAYER_FBX_MOVE),
-    loadFirstClipFromFBX(fbxLoader, CONFIG.PLAYER_FBX_IN_AIR),
-    loadFirstClipFromFBX(fbxLoader, CONFIG.PLAYER_FBX_CLIMB),
+    loadFirstClipFromFBX(state, CONFIG.PLAYER_FBX_MOVE),
+    loadFirstClipFromFBX(state, CONFIG.PLAYER_FBX_IN_AIR),
+    loadFirstClipFromFBX(state, CONFIG.PLAYER_FBX_CLIMB),
   ]);
+  if (loadIsStale(state, scene)) return;
 
   if (idleClip)   state.playerActions.idle   = state.playerMixer.clipAction(idleClip);
   if (moveClip)   state.playerActions.move   = state.playerMixer.clipAction(moveClip);
@@ -797,20 +5260,36 @@ async function createPlayer(state, CONFIG, position) {
   else if (state.playerActions.climb) playPlayerAction(state, CONFIG, "climb", true);
 }
 
-function loadFBX(loader, path) {
-  return new Promise((resolve, reject) => loader.load(path, resolve, undefined, reject));
-}
+// Capsule body from PLAYER_RADIUS/HEIGHT/MASS at center/rotation; becomes state.Player (also used when
+// the tuning panel changes the player's size)
+function createPlayerBody(state, CONFIG, center, rotation) {
+  const shape = new Ammo.btCapsuleShape(
+    CONFIG.PLAYER_RADIUS,
+    CONFIG.PLAYER_HEIGHT - 2 * CONFIG.PLAYER_RADIUS
+  );
+  const body = createRigidBody(shape, CONFIG.PLAYER_MASS, center, rotation);
 
-async function loadFirstClipFromFBX(loader, path) {
-  const obj = await loadFBX(loader, path);
-  if (obj.animations && obj.animations.length > 0) return obj.animations[0];
-  console.warn(`No animations found in: ${path}`);
-  return null;
+  body.setRestitution(0);
+  body.setFriction(CONFIG.PLAYER_DEFAULT_FRICTION);
+  body.setDamping(0.2, 0.98);
+  const noRotation = new Ammo.btVector3(0, 0, 0);
+  body.setAngularFactor(noRotation);
+  Ammo.destroy(noRotation);
+  body.setActivationState(Ammo.DISABLE_DEACTIVATION);
+
+  addBodyToWorld(state, body, "player");
+  state.Player = body;
+  state.playerPtr = Ammo.getPointer(body);
+  return body;
 }
 
+
 function playPlayerAction(state, CONFIG, name, immediate = false) {
   const next = state.playerActions[name];
-  if (!next) return;
+  if (!next) {
+    if (CONFIG.HEADLESS) state.playerCurrentState = name;
+    return;
+  }
   if (state.playerCurrentAction === next) return;
 
   next.reset();
@@ -850,15 +5329,22 @@ function applyMoveAnimDirection(state, dir, force = false) {
 // Input + movement
 // ------------------------------------------------------------
 function bindKeys(state) {
-  window.addEventListener("keydown", (e) => {
+  listen(state, window, "keydown", (e) => {
+    if (isTypingTarget(e.target)) return;
     if (e.code === "Space") e.preventDefault();
-    state.keys[e.code] = true;
+    setKey(state, e.code, true);
   });
-  window.addEventListener("keyup", (e) => {
-    state.keys[e.code] = false;
+  listen(state, window, "keyup", (e) => {
+    setKey(state, e.code, false);
   });
 }
 
+// Injectable input: the only thing handleInput() reads is state.keys (KeyboardEvent.code -> bool),
+// so headless runs, bots and tests drive the player the same way the keyboard does.
+export function setKey(state, code, down = true) {
+  state.keys[code] = !!down;
+}
+
 function handleInput(state, CONFIG, dt) {
   if (!state.Player) return;
 
@@ -917,44 +5403,51 @@ function isGrounded(state, CONFIG) {
 }
 
 function isGroundedRay(state, CONFIG, threshold = 2) {
-  const transform = new Ammo.btTransform();
+  return groundRayTest(state, CONFIG, threshold).hasHit();
+}
+
+// Ray from just inside the player's lower cap straight down, hitting only PLAYER_SOLID_LAYERS;
+// returns the (reused) ray callback
+function groundRayTest(state, CONFIG, threshold) {
+  const transform = state.tmpTransform;
   state.Player.getMotionState().getWorldTransform(transform);
   const origin = transform.getOrigin();
 
-  const rayStart = new THREE.Vector3(
-    origin.x(),
-    origin.y() - CONFIG.PLAYER_HEIGHT / 2 + CONFIG.PLAYER_RADIUS - 0.1,
-    origin.z()
-  );
-  const rayEnd = rayStart.clone().add(new THREE.Vector3(0, -threshold, 0));
+  const x = origin.x();
+  const z = origin.z();
+  const startY = origin.y() - CONFIG.PLAYER_HEIGHT / 2 + CONFIG.PLAYER_RADIUS - 0.1;
+  const endY = startY - threshold;
 
-  const btStart = new Ammo.btVector3(rayStart.x, rayStart.y, rayStart.z);
-  const btEnd   = new Ammo.btVector3(rayEnd.x,   rayEnd.y,   rayEnd.z);
-  const cb = new Ammo.ClosestRayResultCallback(btStart, btEnd);
-  state.physicsWorld.rayTest(btStart, btEnd, cb);
+  return rayTestClosest(state, x, startY, z, x, endY, z, collisionLayerBits(CONFIG.PLAYER_SOLID_LAYERS));
+}
 
-  const hit = cb.hasHit();
-  Ammo.destroy(btStart); Ammo.destroy(btEnd); Ammo.destroy(cb);
-  Ammo.destroy(transform);
-  return hit;
+// Sets the player's velocity through the scratch vector
+function setPlayerVelocity(state, x, y, z) {
+  const v = state.tmpVecA;
+  v.setValue(x, y, z);
+  state.Player.setLinearVelocity(v);
 }
 
+const _jumpCarry = new THREE.Vector3();
+
 function jump(state, CONFIG) {
   const lv = state.Player.getLinearVelocity();
-  state.Player.setLinearVelocity(new Ammo.btVector3(lv.x(), CONFIG.PLAYER_JUMP_IMPULSE, lv.z()));
+  const carry = playerPlatformVelocity(state, CONFIG, _jumpCarry); // a rising platform adds to the jump
+  setPlayerVelocity(state, lv.x(), CONFIG.PLAYER_JUMP_IMPULSE + carry.y, lv.z());
   state.Player.activate();
 }
 
 function applyWallClimb(state, CONFIG) {
-  const stick = state.playerWallNormal.clone().multiplyScalar(-CONFIG.WALL_CLIMB_STICK_SPEED);
+  const n = state.playerWallNormal;
+  const stick = -CONFIG.WALL_CLIMB_STICK_SPEED;
   state.Player.setFriction(CONFIG.WALL_SLIDE_FRICTION);
-  state.Player.setLinearVelocity(new Ammo.btVector3(stick.x, CONFIG.WALL_CLIMB_SPEED, stick.z));
+  setPlayerVelocity(state, n.x * stick, CONFIG.WALL_CLIMB_SPEED, n.z * stick);
   state.Player.activate();
 }
 
 function wallJumpOff(state, CONFIG) {
-  const away = state.playerWallNormal.clone().multiplyScalar(8.0);
-  state.Player.setLinearVelocity(new Ammo.btVector3(away.x, CONFIG.PLAYER_JUMP_IMPULSE, away.z));
+  const n = state.playerWallNormal;
+  setPlayerVelocity(state, n.x * 8.0, CONFIG.PLAYER_JUMP_IMPULSE, n.z * 8.0);
   state.Player.activate();
 
   state.playerClimbing = false;
@@ -962,25 +5455,48 @@ function wallJumpOff(state, CONFIG) {
   state.climbExitTimer = CONFIG.WALL_CLIMB_EXIT_COOLDOWN;
 }
 
+// Scratch THREE objects for the per-tick movement math (same idea as createAmmoScratch, no GC churn)
+const _basisQuat = new THREE.Quaternion();
+const _basisForward = new THREE.Vector3();
+const _basisRight = new THREE.Vector3();
+const _moveCurrent = new THREE.Vector3();
+const _moveDesired = new THREE.Vector3();
+const _moveTarget = new THREE.Vector3();
+const _moveDelta = new THREE.Vector3();
+const _moveVel = new THREE.Vector3();
+const _moveF = new THREE.Vector3();
+const _moveR = new THREE.Vector3();
+const _moveCarry = new THREE.Vector3();
+const _turnAxis = new THREE.Vector3(0, 1, 0);
+const _turnDelta = new THREE.Quaternion();
+const _turnQuat = new THREE.Quaternion();
+
+// Forward/right of the player body. The returned vectors are reused by the next call.
 function getPlayerBasis(state) {
   const t = state.Player.getWorldTransform();
   const q = t.getRotation();
-  const quat = new THREE.Quaternion(q.x(), q.y(), q.z(), q.w());
-  const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(quat).normalize();
-  const right   = new THREE.Vector3(1, 0, 0).applyQuaternion(quat).normalize();
+  _basisQuat.set(q.x(), q.y(), q.z(), q.w());
+  const forward = _basisForward.set(0, 0, 1).applyQuaternion(_basisQuat).normalize();
+  const right   = _basisRight.set(1, 0, 0).applyQuaternion(_basisQuat).normalize();
   return { forward, right };
 }
 
 function applyCharacterMovement(state, CONFIG, moveAxis, dt) {
   if (!CONFIG.PLAYER_MOVE_MIDAIR && !isGrounded(state, CONFIG)) moveAxis = 0;
 
+  // on a moving platform, steer relative to it and add its velocity back at the end
+  const carry = playerPlatformVelocity(state, CONFIG, _moveCarry);
   const lv = state.Player.getLinearVelocity();
-  const current = new THREE.Vector3(lv.x(), 0, lv.z());
+  const current = _moveCurrent.set(lv.x() - carry.x, 0, lv.z() - carry.z);
+
+  const grounded = isGrounded(state, CONFIG);
+  // the surface's multipliers only apply on the ground (see updatePlayerContacts)
+  const surface = grounded && state.playerGroundMaterial ? CONFIG.PHYSICS_MATERIALS?.[state.playerGroundMaterial] : null;
+  const maxSpeed = CONFIG.PLAYER_MAX_SPEED * (surface?.speed ?? 1);
 
   const { forward, right } = getPlayerBasis(state);
-  const desired = forward.clone().multiplyScalar(CONFIG.PLAYER_MAX_SPEED * moveAxis);
+  const desired = _moveDesired.copy(forward).multiplyScalar(maxSpeed * moveAxis);
 
-  const grounded = isGrounded(state, CONFIG);
   const wallSliding = (!grounded && state.playerOnWall && moveAxis !== 0);
 
   // wall slide constraints
@@ -989,24 +5505,24 @@ function applyCharacterMovement(state, CONFIG, moveAxis, dt) {
     if (into > 0) desired.addScaledVector(state.playerWallNormal, -into);
   }
 
-  const accel = grounded ? CONFIG.PLAYER_ACCEL : CONFIG.PLAYER_AIR_ACCEL * CONFIG.PLAYER_MID_AIR_DAMPEN;
-  const brake = grounded ? CONFIG.PLAYER_BRAKE : CONFIG.PLAYER_AIR_BRAKE;
+  const accel = grounded ? CONFIG.PLAYER_ACCEL * (surface?.accel ?? 1) : CONFIG.PLAYER_AIR_ACCEL * CONFIG.PLAYER_MID_AIR_DAMPEN;
+  const brake = grounded ? CONFIG.PLAYER_BRAKE * (surface?.brake ?? 1) : CONFIG.PLAYER_AIR_BRAKE;
 
-  const target = (moveAxis !== 0) ? desired : new THREE.Vector3(0, 0, 0);
+  const target = (moveAxis !== 0) ? desired : _moveTarget.set(0, 0, 0);
   const rate = (moveAxis !== 0) ? accel : brake;
 
   const maxDelta = rate * dt;
-  const delta = target.clone().sub(current);
+  const delta = _moveDelta.copy(target).sub(current);
   const deltaLen = delta.length();
   if (deltaLen > maxDelta && deltaLen > 1e-6) delta.multiplyScalar(maxDelta / deltaLen);
 
-  const newVel = current.clone().add(delta);
+  const newVel = _moveVel.copy(current).add(delta);
 
   // strafe damp
   if (CONFIG.PLAYER_USE_STRAFE_DAMP) {
     const sideDamp = grounded ? CONFIG.PLAYER_SIDE_DAMP_GROUND : CONFIG.PLAYER_SIDE_DAMP_AIR;
-    const f = forward.clone().setY(0).normalize();
-    const r = right.clone().setY(0).normalize();
+    const f = _moveF.copy(forward).setY(0).normalize();
+    const r = _moveR.copy(right).setY(0).normalize();
 
     const fSpd = newVel.dot(f);
     const rSpd = newVel.dot(r);
@@ -1017,9 +5533,11 @@ function applyCharacterMovement(state, CONFIG, moveAxis, dt) {
   }
 
   const spd = newVel.length();
-  if (spd > CONFIG.PLAYER_MAX_SPEED) newVel.multiplyScalar(CONFIG.PLAYER_MAX_SPEED / spd);
+  if (spd > maxSpeed) newVel.multiplyScalar(maxSpeed / spd);
 
   let vy = lv.y();
+  // follow the platform down (and up) instead of bouncing on it; a jump is fast enough to leave
+  if (state.playerPlatform && grounded && vy - carry.y < CONFIG.PLAYER_JUMP_IMPULSE / 2) vy = carry.y;
   if (wallSliding && state.playerWallNormal.lengthSq() > 1e-6) {
     if (vy < CONFIG.WALL_SLIDE_MAX_FALL_SPEED) vy = CONFIG.WALL_SLIDE_MAX_FALL_SPEED;
     const into2 = newVel.dot(state.playerWallNormal);
@@ -1029,20 +5547,97 @@ function applyCharacterMovement(state, CONFIG, moveAxis, dt) {
     state.Player.setFriction(CONFIG.PLAYER_DEFAULT_FRICTION);
   }
 
-  state.Player.setLinearVelocity(new Ammo.btVector3(newVel.x, vy, newVel.z));
+  setPlayerVelocity(state, newVel.x + carry.x, vy, newVel.z + carry.z);
   state.Player.activate();
 }
 
 function turn(state, CONFIG, delta, dt) {
   const t = state.Player.getWorldTransform();
   const rot = t.getRotation();
-  const dq = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), delta * dt);
-  const q = new THREE.Quaternion(rot.x(), rot.y(), rot.z(), rot.w()).multiply(dq);
-  t.setRotation(new Ammo.btQuaternion(q.x, q.y, q.z, q.w));
+  const dq = _turnDelta.setFromAxisAngle(_turnAxis, delta * dt);
+  const q = _turnQuat.set(rot.x(), rot.y(), rot.z(), rot.w()).multiply(dq);
+  state.tmpQuat.setValue(q.x, q.y, q.z, q.w);
+  t.setRotation(state.tmpQuat);
   state.Player.setWorldTransform(t);
   state.Player.activate();
 }
 
+// ------------------------------------------------------------
+// Input recording + replay
+// ------------------------------------------------------------
+// A recording is a snapshot plus the keys handleInput() saw on every fixed physics tick. Replaying loads
+// the snapshot and feeds those keys back through handleInput() tick by tick, so the same level and CONFIG
+// reproduce the same trajectory. Frame rate doesn't matter, only the fixed tick does.
+const RECORDING_VERSION = 1;
+
+export function startRecording(state, CONFIG) {
+  if (!CONFIG.PHYSICS_FIXED_TIMESTEP) throw new Error("startRecording needs CONFIG.PHYSICS_FIXED_TIMESTEP");
+  if (state.replay) throw new Error("startRecording: a replay is running");
+
+  const snapshot = saveSnapshot(state);
+  // put the live world through the same restore the replay will do, so both start identically
+  loadSnapshot(state, snapshot);
+
+  state.recording = {
+    version: RECORDING_VERSION,
+    stepSize: CONFIG.PHYSICS_STEP_SIZE,
+    snapshot,
+    frames: [], // one array of held KeyboardEvent.code names per physics tick
+  };
+}
+
+// Returns the finished recording (plain JSON data), or null if nothing was being recorded
+export function stopRecording(state) {
+  const recording = state.recording;
+  state.recording = null;
+  return recording;
+}
+
+// onEnd(state) runs right after the last recorded tick, with the world where the recording stopped.
+// Live keyboard input is ignored until then.
+export function startReplay(state, CONFIG, recording, onEnd = null) {
+  if (!recording || recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording?.version} (expected ${RECORDING_VERSION})`);
+  }
+  if (!CONFIG.PHYSICS_FIXED_TIMESTEP || CONFIG.PHYSICS_STEP_SIZE !== recording.stepSize) {
+    throw new Error(`Replay needs CONFIG.PHYSICS_FIXED_TIMESTEP with PHYSICS_STEP_SIZE = ${recording.stepSize}`);
+  }
+  if (state.recording) throw new Error("startReplay: a recording is running");
+
+  loadSnapshot(state, recording.snapshot);
+  state.replay = { recording, tick: 0, onEnd };
+}
+
+export function stopReplay(state) {
+  state.replay = null;
+}
+
+// The keys handleInput() should see this tick: the recorded frame while replaying, else the live ones
+// (which get logged while recording).
+function tickInputKeys(state) {
+  const replay = state.replay;
+  if (!replay) {
+    if (state.recording) {
+      state.recording.frames.push(Object.keys(state.keys).filter((code) => state.keys[code]));
+    }
+    return state.keys;
+  }
+
+  const keys = {};
+  for (const code of replay.recording.frames[replay.tick] ?? []) keys[code] = true;
+  replay.tick++;
+  return keys;
+}
+
+// After the tick that used the last frame, i.e. the world is where the recording stopped
+function endReplayIfDone(state) {
+  const replay = state.replay;
+  if (!replay || replay.tick < replay.recording.frames.length) return;
+  state.replay = null;
+  if (replay.onEnd) replay.onEnd(state);
+}
+
+
 // ------------------------------------------------------------
 // Contacts (grounded / wall)
 // ------------------------------------------------------------
@@ -1050,6 +5645,9 @@ function updatePlayerContacts(state, CONFIG) {
   state.playerGrounded = false;
   state.playerOnWall = false;
   state.playerWallNormal.set(0, 0, 0);
+  state.playerPlatform = null;
+  state.playerGroundMaterial = null;
+  state.playerFootstep = null;
 
   if (!state.Player || !state.dispatcher || !state.playerPtr) return;
 
@@ -1058,6 +5656,8 @@ function updatePlayerContacts(state, CONFIG) {
   const centerY = o.y();
   const bottomY = centerY - (CONFIG.PLAYER_HEIGHT / 2);
   const groundBandTopY = bottomY + (CONFIG.PLAYER_HEIGHT * CONFIG.GROUND_BAND_FRACTION);
+  const solidBits = collisionLayerBits(CONFIG.PLAYER_SOLID_LAYERS); // triggers and the like are neither ground nor wall
+  let groundPtr = 0;
 
   const numManifolds = state.dispatcher.getNumManifolds();
 
@@ -1072,6 +5672,8 @@ function updatePlayerContacts(state, CONFIG) {
     const isPlayer0 = (ptr0 === state.playerPtr);
     const isPlayer1 = (ptr1 === state.playerPtr);
     if (!isPlayer0 && !isPlayer1) continue;
+    const otherLayer = state.bodyLayers.get(isPlayer0 ? ptr1 : ptr0);
+    if (!otherLayer || !(collisionLayerBit(otherLayer) & solidBits)) continue;
 
     const numContacts = manifold.getNumContacts();
     for (let j = 0; j < numContacts; j++) {
@@ -1089,6 +5691,10 @@ function updatePlayerContacts(state, CONFIG) {
 
       if (py <= (groundBandTopY + 0.05) && ny > CONFIG.GROUND_NORMAL_MIN_Y) {
         state.playerGrounded = true;
+        if (!groundPtr) groundPtr = isPlayer0 ? ptr1 : ptr0;
+        if (!state.playerPlatform && state.platforms.size) {
+          state.playerPlatform = state.platforms.get(isPlayer0 ? ptr1 : ptr0) ?? null;
+        }
       }
 
       const horizLenSq = (nx * nx + nz * nz);
@@ -1111,13 +5717,33 @@ function updatePlayerContacts(state, CONFIG) {
     state.playerClimbing = false;
     state.climbAnimGrace = 0;
   }
+
+  // Resting contacts often sit just outside the collision margin, and a platform that turns around leaves
+  // the feet for a few ticks, so a platform a little below the feet counts too
+  if (!state.playerPlatform && state.platforms.size) {
+    const hit = groundRayTest(state, CONFIG, CONFIG.PLAYER_RADIUS + PLATFORM_STICK_DISTANCE);
+    if (hit.hasHit()) state.playerPlatform = state.platforms.get(Ammo.getPointer(hit.get_m_collisionObject())) ?? null;
+  }
+
+  // The surface under the feet picks the movement multipliers and footstep tag; like isGrounded, a
+  // short ray stands in for resting contacts
+  if (!groundPtr) {
+    const hit = groundRayTest(state, CONFIG, 2);
+    if (hit.hasHit()) groundPtr = Ammo.getPointer(hit.get_m_collisionObject());
+  }
+  const material = groundPtr ? state.bodyObjects.get(groundPtr)?.material : null;
+  if (material) {
+    state.playerGroundMaterial = material;
+    state.playerFootstep = CONFIG.PHYSICS_MATERIALS?.[material]?.footstep ?? material;
+  }
 }
 
 // ------------------------------------------------------------
 // Animation state switching (simplified; add your multi-ray gating if desired)
 // ------------------------------------------------------------
 function updatePlayerAnimationState(state, CONFIG, dt) {
-  if (!state.Player || !state.playerMixer) return;
+  if (!state.Player) return;
+  if (!state.playerMixer && !CONFIG.HEADLESS) return;
 
   // if climbing, don't switch to in_air
   if (state.playerClimbing || state.climbAnimGrace > 0) {
@@ -1156,61 +5782,108 @@ function updatePlayerAnimationState(state, CONFIG, dt) {
 // ------------------------------------------------------------
 // Sync visuals from physics (same model as your current file)
 // ------------------------------------------------------------
-function syncVisualsFromPhysics(state, CONFIG) {
+const _syncPos = new THREE.Vector3();
+const _syncQuat = new THREE.Quaternion();
+const _syncOffset = new THREE.Vector3();
+const _syncRotationOffset = new THREE.Quaternion();
+
+// Fixed timestep only: remember where every moving body was before the tick, so
+// syncVisualsFromPhysics can blend between the last two physics states.
+function capturePreviousTransforms(state) {
   for (const obj of state.gameObjects) {
-    const { body, mesh, visual, visualOffset, visualRotationOffset } = obj;
-    const ms = body.getMotionState();
-    if (!ms) continue;
+    if (obj.body.isStaticObject()) continue;
+    if (!obj.prevPosition) {
+      obj.prevPosition = new THREE.Vector3();
+      obj.prevQuaternion = new THREE.Quaternion();
+    }
+    readBodyTransform(state, obj.body, obj.prevPosition, obj.prevQuaternion);
+  }
+
+  if (state.Player) {
+    if (!state.playerPrevPosition) {
+      state.playerPrevPosition = new THREE.Vector3();
+      state.playerPrevQuaternion = new THREE.Quaternion();
+    }
+    readBodyTransform(state, state.Player, state.playerPrevPosition, state.playerPrevQuaternion);
+  }
+}
+
+function readBodyTransform(state, body, outPos, outQuat) {
+  const ms = body.getMotionState();
+  if (!ms) return false;
+  ms.getWorldTransform(state.tmpTransform);
+  const o = state.tmpTransform.getOrigin();
+  const r = state.tmpTransform.getRotation();
+  outPos.set(o.x(), o.y(), o.z());
+  outQuat.set(r.x(), r.y(), r.z(), r.w());
+  return true;
+}
+
+// alpha = how far we are between the previous (0) and current (1) physics state
+function readInterpolatedTransform(state, body, prevPos, prevQuat, alpha, outPos, outQuat) {
+  if (!readBodyTransform(state, body, outPos, outQuat)) return false;
+  if (alpha < 1 && prevPos) {
+    outPos.lerpVectors(prevPos, outPos, alpha);
+    outQuat.slerpQuaternions(prevQuat, outQuat, alpha);
+  }
+  return true;
+}
 
-    ms.getWorldTransform(state.tmpTransform);
-    const origin = state.tmpTransform.getOrigin();
-    const rot = state.tmpTransform.getRotation();
+function syncVisualsFromPhysics(state, CONFIG, alpha = 1) {
+  for (const obj of state.gameObjects) {
+    if (obj.bakedTransform) continue;
+    const { body, debugMesh, visual, visualOffset, visualRotationOffset } = obj;
+    if (!readInterpolatedTransform(state, body, obj.prevPosition, obj.prevQuaternion, alpha, _syncPos, _syncQuat)) continue;
 
-    if (mesh) {
-      mesh.position.set(origin.x(), origin.y(), origin.z());
-      mesh.quaternion.set(rot.x(), rot.y(), rot.z(), rot.w());
+    if (debugMesh) {
+      debugMesh.position.copy(_syncPos);
+      debugMesh.quaternion.copy(_syncQuat);
     }
 
     if (obj.axes) {
-      obj.axes.position.set(origin.x(), origin.y(), origin.z());
-      obj.axes.quaternion.set(rot.x(), rot.y(), rot.z(), rot.w());
+      obj.axes.position.copy(_syncPos);
+      obj.axes.quaternion.copy(_syncQuat);
     }
 
     if (visual) {
-      const meshQuat = new THREE.Quaternion(rot.x(), rot.y(), rot.z(), rot.w());
-      const offsetRotated = visualOffset ? visualOffset.clone().applyQuaternion(meshQuat) : new THREE.Vector3(0, 0, 0);
-      visual.position.set(origin.x(), origin.y(), origin.z());
-      visual.position.add(offsetRotated);
-
-      if (visualRotationOffset) {
-        const finalQuat = meshQuat.clone().multiply(visualRotationOffset);
-        visual.quaternion.copy(finalQuat);
-      } else {
-        visual.quaternion.copy(meshQuat);
+      visual.position.copy(_syncPos);
+      if (visualOffset) visual.position.add(_syncOffset.copy(visualOffset).applyQuaternion(_syncQuat));
+
+      visual.quaternion.copy(_syncQuat);
+      if (visualRotationOffset) visual.quaternion.multiply(visualRotationOffset);
+    }
+
+    if (obj.instance && !body.isStaticObject()) writeModelInstance(obj, _syncPos, _syncQuat);
+  }
+  flushInstanceBatches(state);
+
+  if (CONFIG.DEBUG_MODE) {
+    for (const c of state.constraints) {
+      const a = c.a;
+      if (readInterpolatedTransform(state, a.body, a.prevPosition, a.prevQuaternion, alpha, _syncPos, _syncQuat)) {
+        placeConstraintAxes(c, _syncPos, _syncQuat);
       }
     }
   }
 
   // player visuals
   if (state.Player) {
-    state.Player.getMotionState().getWorldTransform(state.tmpTransform);
-    const o = state.tmpTransform.getOrigin();
-    const r = state.tmpTransform.getRotation();
-
-    const bodyPos = new THREE.Vector3(o.x(), o.y(), o.z());
-    const bodyQuat = new THREE.Quaternion(r.x(), r.y(), r.z(), r.w());
+    readInterpolatedTransform(
+      state, state.Player, state.playerPrevPosition, state.playerPrevQuaternion, alpha, _syncPos, _syncQuat
+    );
+    state.playerRenderPosition.copy(_syncPos);
 
     if (state.playerDebugMesh) {
-      state.playerDebugMesh.position.copy(bodyPos);
-      state.playerDebugMesh.quaternion.copy(bodyQuat);
+      state.playerDebugMesh.position.copy(_syncPos);
+      state.playerDebugMesh.quaternion.copy(_syncQuat);
     }
     if (state.Player.__axes) {
-      state.Player.__axes.position.copy(bodyPos);
-      state.Player.__axes.quaternion.copy(bodyQuat);
+      state.Player.__axes.position.copy(_syncPos);
+      state.Player.__axes.quaternion.copy(_syncQuat);
     }
     if (state.playerVisual) {
-      state.playerVisual.position.copy(bodyPos).add(CONFIG.PLAYER_MODEL_OFFSET.clone().applyQuaternion(bodyQuat));
-      state.playerVisual.quaternion.copy(bodyQuat).multiply(new THREE.Quaternion().setFromEuler(CONFIG.PLAYER_MODEL_ROTATION));
+      state.playerVisual.position.copy(_syncPos).add(_syncOffset.copy(CONFIG.PLAYER_MODEL_OFFSET).applyQuaternion(_syncQuat));
+      state.playerVisual.quaternion.copy(_syncQuat).multiply(_syncRotationOffset.setFromEuler(CONFIG.PLAYER_MODEL_ROTATION));
     }
   }
 }
@@ -1224,21 +5897,22 @@ function getDynamicMinPitch(state, CONFIG) {
     : CONFIG.CAMERA_MIN_PITCH;
 }
 
+const _cameraTarget = new THREE.Vector3();
+const _cameraToCam = new THREE.Vector3();
+const _cameraDesired = new THREE.Vector3();
+const _cameraLookAt = new THREE.Vector3();
+const CAMERA_TERRAIN_CLEARANCE = 1; // how far above the terrain the camera stays
+
 function updateCamera(state, CONFIG) {
   if (!state.Player) return;
 
-  const ms = state.Player.getMotionState();
-  if (!ms) return;
-
-  ms.getWorldTransform(state.tmpTransform);
-  const o = state.tmpTransform.getOrigin();
-
-  const targetPos = new THREE.Vector3(o.x(), o.y(), o.z());
-  state.playerHeightAboveGround = targetPos.y - CONFIG.GROUND_PLANE_Y;
+  // follow the rendered (interpolated) player, not the raw physics body, so the camera doesn't judder
+  const targetPos = _cameraTarget.copy(state.playerRenderPosition);
+  state.playerHeightAboveGround = targetPos.y - getGroundHeight(state, CONFIG, targetPos.x, targetPos.z);
 
   // Initialize yaw/distance once
   if (!state.cameraYawInitialized) {
-    const toCam = new THREE.Vector3().subVectors(state.camera.position, targetPos);
+    const toCam = _cameraToCam.subVectors(state.camera.position, targetPos);
     state.cameraDistance = THREE.MathUtils.clamp(toCam.length(), CONFIG.CAMERA_MIN_DISTANCE, CONFIG.CAMERA_MAX_DISTANCE);
     state.cameraYaw = Math.atan2(toCam.x, toCam.z);
 
@@ -1256,14 +5930,19 @@ function updateCamera(state, CONFIG) {
   const xOff  = horiz * Math.sin(state.cameraYaw);
   const zOff  = horiz * Math.cos(state.cameraYaw);
 
-  const desiredPos = new THREE.Vector3(
+  const desiredPos = _cameraDesired.set(
     targetPos.x + xOff,
     targetPos.y + yOff + (CONFIG.CAMERA_VERTICAL_OFFSET * 0.15),
     targetPos.z + zOff
   );
+  // looking up from below the player mustn't put the camera inside a hill
+  if (state.terrains.size) {
+    desiredPos.y = Math.max(desiredPos.y, getGroundHeight(state, CONFIG, desiredPos.x, desiredPos.z) + CAMERA_TERRAIN_CLEARANCE);
+  }
 
   state.camera.position.lerp(desiredPos, 0.15);
 
-  const lookAtPos = targetPos.clone().add(new THREE.Vector3(0, CONFIG.CAMERA_VERTICAL_OFFSET * 0.35, 0));
+  const lookAtPos = _cameraLookAt.copy(targetPos);
+  lookAtPos.y += CONFIG.CAMERA_VERTICAL_OFFSET * 0.35;
   state.camera.lookAt(lookAtPos);
 }
@@ -0,0 +1,11 @@
+// /static/js/physics_worker.js
+// Runs the simulation for CONFIG.PHYSICS_WORKER (see "Physics worker" in game_core.js).
+// A classic worker so Ammo's global loader can be imported; the core is a module, so it comes in with import().
+importScripts("/static/js/ammo/ammo.wasm.js");
+
+// Left alone, Ammo looks for ammo.wasm.wasm next to this script. Calling it swaps the global factory
+// for the module, so startCore() won't initialize it again.
+Ammo({ locateFile: (file) => "/static/js/ammo/" + file })
+  .then(() => import("/static/js/game_core.js"))
+  .then((core) => core.runPhysicsWorker(self))
+  .catch((err) => self.postMessage({ type: "error", message: err.message || String(err) }));